@@ -1,13 +1,28 @@
 const path = require('path');
 const core = require('@actions/core');
+const { CloudWatchLogs } = require('@aws-sdk/client-cloudwatch-logs');
 const { CodeDeploy, waitUntilDeploymentSuccessful } = require('@aws-sdk/client-codedeploy');
-const { ECS, waitUntilServicesStable } = require('@aws-sdk/client-ecs');
+const { ECR } = require('@aws-sdk/client-ecr');
+const { ECS, waitUntilServicesStable, waitUntilTasksStopped } = require('@aws-sdk/client-ecs');
 const yaml = require('yaml');
 const fs = require('fs');
 const crypto = require('crypto');
 
 const MAX_WAIT_MINUTES = 360;  // 6 hours
 const WAIT_DEFAULT_DELAY_SEC = 15;
+const THROTTLING_MAX_ATTEMPTS = 5;
+const THROTTLING_BASE_DELAY_MS = 1000;
+const DELETE_TASK_DEFINITIONS_BATCH_SIZE = 10;
+const WAIT_STRATEGIES = ['services-stable', 'deployment-rollout'];
+const DEPLOYMENT_STRATEGIES = ['ROLLING', 'BLUE_GREEN', 'LINEAR', 'CANARY'];
+const SERVICE_DEPLOYMENT_ROLLBACK_STATUSES = ['ROLLBACK_REQUESTED', 'ROLLBACK_IN_PROGRESS', 'ROLLBACK_SUCCESSFUL'];
+const DESCRIBE_TASKS_MAX_RESULTS = 100;
+const IMAGE_PULL_ERROR_PATTERN = /CannotPullContainerError|pull image/i;
+const CONTAINER_LOGS_MAX_TASKS = 3;
+const ENVIRONMENT_FILE_OVERRIDE_POLICIES = ['override', 'keep', 'fail'];
+const ECR_IMAGE_PATTERN = /^((\d{12})\.dkr\.ecr\.([a-z0-9-]+)\.amazonaws\.com(?:\.cn)?)\/([^:@]+)(?::([^:@]+))?$/;
+// Docker label recording the image reference of a container before it was resolved to a digest
+const ORIGINAL_IMAGE_LABEL = 'image.original';
 
 // Attributes that are returned by DescribeTaskDefinition, but are not valid RegisterTaskDefinition inputs
 const IGNORED_TASK_DEFINITION_ATTRIBUTES = [
@@ -21,39 +36,913 @@ const IGNORED_TASK_DEFINITION_ATTRIBUTES = [
   'registeredBy'
 ];
 
+// Shapes of the RegisterTaskDefinition inputs, used to validate task definition files before registering them.
+// A string names a scalar type, an array holds the shape of its items, and an object the shapes of its properties.
+const NAME_VALUE_SHAPE = { name: 'string', value: 'string' };
+const SECRET_SHAPE = { name: 'string', valueFrom: 'string' };
+const CONTAINER_DEFINITION_SHAPE = {
+  name: 'string',
+  image: 'string',
+  repositoryCredentials: { credentialsParameter: 'string' },
+  cpu: 'number',
+  memory: 'number',
+  memoryReservation: 'number',
+  links: ['string'],
+  portMappings: [{
+    containerPort: 'number',
+    hostPort: 'number',
+    protocol: 'string',
+    name: 'string',
+    appProtocol: 'string',
+    containerPortRange: 'string'
+  }],
+  essential: 'boolean',
+  restartPolicy: { enabled: 'boolean', ignoredExitCodes: ['number'], restartAttemptPeriod: 'number' },
+  entryPoint: ['string'],
+  command: ['string'],
+  environment: [NAME_VALUE_SHAPE],
+  environmentFiles: [{ value: 'string', type: 'string' }],
+  mountPoints: [{ sourceVolume: 'string', containerPath: 'string', readOnly: 'boolean' }],
+  volumesFrom: [{ sourceContainer: 'string', readOnly: 'boolean' }],
+  linuxParameters: {
+    capabilities: { add: ['string'], drop: ['string'] },
+    devices: [{ hostPath: 'string', containerPath: 'string', permissions: ['string'] }],
+    initProcessEnabled: 'boolean',
+    sharedMemorySize: 'number',
+    tmpfs: [{ containerPath: 'string', size: 'number', mountOptions: ['string'] }],
+    maxSwap: 'number',
+    swappiness: 'number'
+  },
+  secrets: [SECRET_SHAPE],
+  dependsOn: [{ containerName: 'string', condition: 'string' }],
+  startTimeout: 'number',
+  stopTimeout: 'number',
+  versionConsistency: 'string',
+  hostname: 'string',
+  user: 'string',
+  workingDirectory: 'string',
+  disableNetworking: 'boolean',
+  privileged: 'boolean',
+  readonlyRootFilesystem: 'boolean',
+  dnsServers: ['string'],
+  dnsSearchDomains: ['string'],
+  extraHosts: [{ hostname: 'string', ipAddress: 'string' }],
+  dockerSecurityOptions: ['string'],
+  interactive: 'boolean',
+  pseudoTerminal: 'boolean',
+  dockerLabels: 'string-map',
+  ulimits: [{ name: 'string', softLimit: 'number', hardLimit: 'number' }],
+  logConfiguration: { logDriver: 'string', options: 'string-map', secretOptions: [SECRET_SHAPE] },
+  healthCheck: { command: ['string'], interval: 'number', timeout: 'number', retries: 'number', startPeriod: 'number' },
+  systemControls: [{ namespace: 'string', value: 'string' }],
+  resourceRequirements: [{ value: 'string', type: 'string' }],
+  firelensConfiguration: { type: 'string', options: 'string-map' },
+  credentialSpecs: ['string']
+};
+const TASK_DEFINITION_SHAPE = {
+  family: 'string',
+  taskRoleArn: 'string',
+  executionRoleArn: 'string',
+  networkMode: 'string',
+  containerDefinitions: [CONTAINER_DEFINITION_SHAPE],
+  volumes: [{
+    name: 'string',
+    host: { sourcePath: 'string' },
+    configuredAtLaunch: 'boolean',
+    dockerVolumeConfiguration: {
+      scope: 'string',
+      autoprovision: 'boolean',
+      driver: 'string',
+      driverOpts: 'string-map',
+      labels: 'string-map'
+    },
+    efsVolumeConfiguration: {
+      fileSystemId: 'string',
+      rootDirectory: 'string',
+      transitEncryption: 'string',
+      transitEncryptionPort: 'number',
+      authorizationConfig: { accessPointId: 'string', iam: 'string' }
+    },
+    fsxWindowsFileServerVolumeConfiguration: {
+      fileSystemId: 'string',
+      rootDirectory: 'string',
+      authorizationConfig: { credentialsParameter: 'string', domain: 'string' }
+    }
+  }],
+  placementConstraints: [{ type: 'string', expression: 'string' }],
+  requiresCompatibilities: ['string'],
+  // The API takes strings such as '256' or '1 vCPU', but numbers are accepted in task definition files
+  cpu: 'string-or-number',
+  memory: 'string-or-number',
+  tags: [{ key: 'string', value: 'string' }],
+  pidMode: 'string',
+  ipcMode: 'string',
+  proxyConfiguration: { type: 'string', containerName: 'string', properties: [NAME_VALUE_SHAPE] },
+  inferenceAccelerators: [{ deviceName: 'string', deviceType: 'string' }],
+  ephemeralStorage: { sizeInGiB: 'number' },
+  runtimePlatform: { cpuArchitecture: 'string', operatingSystemFamily: 'string' },
+  enableFaultInjection: 'boolean'
+};
+
+// Properties that RegisterTaskDefinition requires, by shape
+const REQUIRED_PROPERTIES = new Map([
+  [TASK_DEFINITION_SHAPE, ['family', 'containerDefinitions']],
+  [CONTAINER_DEFINITION_SHAPE, ['name', 'image']]
+]);
+
+// Policy checks of the containers of a task definition, run when 'lint-task-definition' is enabled. Each check returns
+// the findings for a container, if any.
+const SECRET_NAME_PATTERN = /PASSWORD|SECRET|TOKEN|API_?KEY|PRIVATE_?KEY|ACCESS_?KEY|CREDENTIALS?/i;
+const LINT_RULES = {
+  'image-tag': container => {
+    const image = container.image || '';
+    if (image.includes('@')) {
+      return undefined;
+    }
+    const tag = image.split('/').pop().split(':')[1];
+    if (!tag) {
+      return `Container ${container.name} uses the image ${image} without a tag, pin a specific tag or digest`;
+    }
+    return tag === 'latest' ? `Container ${container.name} uses the image ${image}, pin a specific tag or digest` : undefined;
+  },
+  'log-configuration': container => container.logConfiguration ?
+    undefined :
+    `Container ${container.name} has no logConfiguration, its logs will not be kept`,
+  'privileged': container => container.privileged === true ?
+    `Container ${container.name} runs in privileged mode` :
+    undefined,
+  'health-check': container => container.essential !== false && !container.healthCheck ?
+    `Essential container ${container.name} has no healthCheck` :
+    undefined,
+  'plaintext-secrets': container => (container.environment || [])
+    .filter(variable => SECRET_NAME_PATTERN.test(variable.name || '') && variable.value)
+    .map(variable => `Environment variable ${variable.name} of container ${container.name} looks like a secret, use 'secrets' instead`),
+  'memory': (container, taskDef) => container.memory === undefined && container.memoryReservation === undefined && taskDef.memory === undefined ?
+    `Container ${container.name} sets neither memory nor memoryReservation, and the task has no task-level memory` :
+    undefined,
+  'readonly-root-filesystem': container => container.readonlyRootFilesystem === true ?
+    undefined :
+    `Container ${container.name} does not use a read-only root filesystem`
+};
+const LINT_SEVERITIES = ['off', 'warn', 'error'];
+
+// Memory values (in MiB) that Fargate supports for each task CPU value (in CPU units)
+const FARGATE_MEMORY_BY_CPU = {
+  256: { min: 512, max: 2048, values: [512, 1024, 2048] },
+  512: { min: 1024, max: 4096, step: 1024 },
+  1024: { min: 2048, max: 8192, step: 1024 },
+  2048: { min: 4096, max: 16384, step: 1024 },
+  4096: { min: 8192, max: 30720, step: 1024 },
+  8192: { min: 16384, max: 61440, step: 4096 },
+  16384: { min: 32768, max: 122880, step: 8192 }
+};
+
+// Attributes compared when showing the changes a deployment would make
+const DIFFED_TASK_DEFINITION_ATTRIBUTES = ['cpu', 'memory', 'networkMode', 'taskRoleArn', 'executionRoleArn'];
+const DIFFED_CONTAINER_ATTRIBUTES = ['image', 'cpu', 'memory', 'memoryReservation', 'essential'];
+
+// Keys of the GitHub workflow run metadata added to task definitions, and the environment variables they are read from
+const GITHUB_METADATA_ENVIRONMENT_VARIABLES = {
+  'github.repository': 'GITHUB_REPOSITORY',
+  'github.sha': 'GITHUB_SHA',
+  'github.ref': 'GITHUB_REF',
+  'github.run_id': 'GITHUB_RUN_ID',
+  'github.actor': 'GITHUB_ACTOR'
+};
+
+// Arrays of task definition overlays whose entries are merged with the base entry of the same name
+const NAMED_ARRAY_ATTRIBUTES = ['containerDefinitions', 'environment', 'secrets'];
+// Value of '$delete' that removes a property or named array entry when merging task definition overlays
+const OVERLAY_DELETE_MARKER = '$delete';
+
+// CloudFormation intrinsic functions, which the action cannot resolve in task definitions exported from a template
+const CLOUDFORMATION_INTRINSIC_FUNCTIONS = [
+  'Ref', 'Condition', 'Fn::Base64', 'Fn::Cidr', 'Fn::FindInMap', 'Fn::GetAtt', 'Fn::GetAZs', 'Fn::ImportValue',
+  'Fn::Join', 'Fn::Select', 'Fn::Split', 'Fn::Sub', 'Fn::Transform', 'Fn::And', 'Fn::Equals', 'Fn::If', 'Fn::Not',
+  'Fn::Or', 'Fn::Length', 'Fn::ToJsonString'
+];
+// YAML tags of the short form of the intrinsic functions, such as '!Ref' or '!Sub', parsed to their long form
+const CLOUDFORMATION_YAML_TAGS = CLOUDFORMATION_INTRINSIC_FUNCTIONS.flatMap(functionName => {
+  const tag = `!${functionName.replace(/^Fn::/, '')}`;
+  const resolve = value => ({ [functionName]: value && value.toJSON ? value.toJSON() : value });
+  return [{ tag, resolve }, { tag, collection: 'seq', resolve }, { tag, collection: 'map', resolve }];
+});
+// CloudFormation task definition properties whose API name is not the property name with a lowercase first letter
+const CLOUDFORMATION_PROPERTY_NAMES = {
+  EFSVolumeConfiguration: 'efsVolumeConfiguration',
+  FSxWindowsFileServerVolumeConfiguration: 'fsxWindowsFileServerVolumeConfiguration',
+  FilesystemId: 'fileSystemId',
+  IAM: 'iam',
+  ProxyConfigurationProperties: 'properties'
+};
+// CloudFormation task definition properties holding free-form maps, whose keys are kept as they are
+const CLOUDFORMATION_MAP_PROPERTIES = ['DockerLabels', 'Options', 'Labels', 'DriverOpts'];
+
+// Placeholders such as '{{ IMAGE_TAG }}' in task definition and AppSpec files
+const TEMPLATE_PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+function getConsoleHostname(region) {
+  return region.startsWith('cn') ? 'console.amazonaws.cn' : 'console.aws.amazon.com';
+}
+
 // Deploy to a service that uses the 'ECS' deployment controller
-async function updateEcsService(ecs, clusterName, service, taskDefArn, waitForService, waitForMinutes, forceNewDeployment, desiredCount) {
+async function updateEcsService(ecs, clusterName, service, taskDefArn, deployOptions, previousService) {
   core.debug('Updating the service');
   let params = {
     cluster: clusterName,
     service: service,
     taskDefinition: taskDefArn,
-    forceNewDeployment: forceNewDeployment
+    forceNewDeployment: deployOptions.forceNewDeployment
   };
   // Add the desiredCount property only if it is defined and a number.
-  if (!isNaN(desiredCount) && desiredCount !== undefined) {
-    params.desiredCount = desiredCount;
+  if (!isNaN(deployOptions.desiredCount) && deployOptions.desiredCount !== undefined) {
+    params.desiredCount = deployOptions.desiredCount;
   }
-  await ecs.updateService(params);
+  if (deployOptions.deploymentConfiguration) {
+    params.deploymentConfiguration = deployOptions.deploymentConfiguration;
+  }
+  if (deployOptions.serviceOverrides) {
+    Object.assign(params, deployOptions.serviceOverrides);
+  }
+  const deploymentStartedAt = new Date();
+  const updateResponse = await ecs.updateService(params);
 
   const region = await ecs.config.region();
-  const consoleHostname = region.startsWith('cn') ? 'console.amazonaws.cn' : 'console.aws.amazon.com';
+  const consoleHostname = getConsoleHostname(region);
 
   core.info(`Deployment started. Watch this deployment's progress in the Amazon ECS console: https://${consoleHostname}/ecs/home?region=${region}#/clusters/${clusterName}/services/${service}/events`);
 
-  // Wait for service stability
-  if (waitForService && waitForService.toLowerCase() === 'true') {
-    core.debug(`Waiting for the service to become stable. Will wait for ${waitForMinutes} minutes`);
-    await waitUntilServicesStable({
-      client: ecs,
-      minDelay: WAIT_DEFAULT_DELAY_SEC,
-      maxWaitTime: waitForMinutes * 60
-    }, {
+  await waitForEcsDeployment(ecs, clusterName, service, taskDefArn, deployOptions, previousService, deploymentStartedAt, updateResponse);
+}
+
+// Create a service that does not exist yet from the service definition file, using the new task definition
+async function createEcsService(ecs, clusterName, service, taskDefArn, deployOptions) {
+  core.debug('Creating the service');
+  let params = Object.assign({}, deployOptions.serviceDefinition, {
+    cluster: clusterName,
+    serviceName: service,
+    taskDefinition: taskDefArn
+  });
+  if (!isNaN(deployOptions.desiredCount) && deployOptions.desiredCount !== undefined) {
+    params.desiredCount = deployOptions.desiredCount;
+  }
+  if (deployOptions.deploymentConfiguration) {
+    params.deploymentConfiguration = Object.assign({}, params.deploymentConfiguration, deployOptions.deploymentConfiguration);
+  }
+  if (deployOptions.serviceOverrides) {
+    Object.assign(params, deployOptions.serviceOverrides);
+  }
+  const deploymentStartedAt = new Date();
+  const createResponse = await ecs.createService(params);
+  core.info(`Created service ${service} in cluster ${clusterName}`);
+
+  await waitForEcsDeployment(ecs, clusterName, service, taskDefArn, deployOptions, undefined, deploymentStartedAt, createResponse);
+}
+
+// Wait for the deployment started by UpdateService or CreateService, if enabled, and roll it back if it fails
+async function waitForEcsDeployment(ecs, clusterName, service, taskDefArn, deployOptions, previousService, startedAt, deployResponse) {
+  if (deployOptions.waitForService && deployOptions.waitForService.toLowerCase() === 'true') {
+    core.debug(`Waiting for the service to become stable. Will wait for ${deployOptions.waitForMinutes} minutes`);
+    const deploymentId = findPrimaryDeploymentId(deployResponse);
+    const serviceDeploymentArn = findTrafficShiftingServiceDeploymentArn(deployResponse);
+    try {
+      await waitForServiceStability(ecs, clusterName, service, deployOptions, startedAt, deploymentId, serviceDeploymentArn);
+    } catch (error) {
+      error.stoppedTasks = await reportStoppedTasks(ecs, clusterName, service, taskDefArn);
+
+      // There is nothing left to roll back if ECS already rolled back the deployment, and rolling back a deployment that
+      // replaced this one would undo it
+      if (!deployOptions.rollbackOnFailure || error.rolledBackTaskDefinitionArn || error.deploymentReplaced) {
+        throw error;
+      }
+      await rollbackEcsService(ecs, clusterName, service, previousService, deployOptions, error);
+    }
+  } else {
+    core.debug('Not waiting for the service to become stable');
+  }
+}
+
+function sleep(delayMs) {
+  return new Promise(resolve => setTimeout(resolve, delayMs));
+}
+
+function findPrimaryDeploymentId(deployResponse) {
+  const deployments = deployResponse && deployResponse.service && deployResponse.service.deployments;
+  const primaryDeployment = (deployments || []).find(deployment => deployment.status === 'PRIMARY');
+  return primaryDeployment ? primaryDeployment.id : undefined;
+}
+
+// The service deployment started by UpdateService or CreateService, if the service uses a strategy that shifts traffic
+// between revisions
+function findTrafficShiftingServiceDeploymentArn(deployResponse) {
+  const serviceResponse = deployResponse && deployResponse.service;
+  const strategy = serviceResponse && serviceResponse.deploymentConfiguration && serviceResponse.deploymentConfiguration.strategy;
+  if (!strategy || strategy === 'ROLLING') {
+    return undefined;
+  }
+  return serviceResponse.currentServiceDeployment;
+}
+
+// Wait for the service to become stable, printing its events and deployment progress in the meantime
+async function waitForServiceStability(ecs, clusterName, service, deployOptions, startedAt, deploymentId, serviceDeploymentArn) {
+  const stopEventStream = deployOptions.showServiceEvents ?
+    startServiceEventStream(ecs, clusterName, service, startedAt) :
+    undefined;
+  try {
+    if (serviceDeploymentArn) {
+      // Blue/green, linear and canary deployments keep going after the service is stable, until traffic is shifted and baked
+      await waitForServiceDeployment(ecs, service, serviceDeploymentArn, deployOptions.waitForMinutes);
+    } else {
+      const rolloutCompleted = deployOptions.waitStrategy === 'deployment-rollout' && deploymentId ?
+        await waitForDeploymentRollout(ecs, clusterName, service, deploymentId, deployOptions.waitForMinutes) :
+        false;
+      if (!rolloutCompleted) {
+        if (deployOptions.waitStrategy === 'deployment-rollout' && !deploymentId) {
+          core.debug('The deployment created by UpdateService is unknown, waiting for the service to become stable instead');
+        }
+        await waitUntilServicesStable({
+          client: ecs,
+          minDelay: WAIT_DEFAULT_DELAY_SEC,
+          maxWaitTime: deployOptions.waitForMinutes * 60
+        }, {
+          services: [service],
+          cluster: clusterName
+        });
+      }
+    }
+  } finally {
+    if (stopEventStream) {
+      await stopEventStream();
+    }
+  }
+}
+
+// Wait for the rollout of a deployment to complete, failing as soon as ECS marks it as failed, for example when the
+// deployment circuit breaker is triggered. Returns false without waiting if ECS does not track the rollout state of the
+// deployment, as for services behind a Classic Load Balancer.
+async function waitForDeploymentRollout(ecs, clusterName, service, deploymentId, waitForMinutes) {
+  const deadline = Date.now() + waitForMinutes * 60 * 1000;
+  for (;;) {
+    const describeResponse = await ecs.describeServices({
       services: [service],
       cluster: clusterName
     });
+    const deployments = describeResponse.services[0].deployments || [];
+    const deployment = deployments.find(candidate => candidate.id === deploymentId);
+
+    if (deployment && deployment.rolloutState === 'COMPLETED') {
+      core.info(`Deployment ${deploymentId} of service ${service} completed`);
+      return true;
+    }
+    if (deployment && !deployment.rolloutState) {
+      core.debug(`ECS does not report the rollout state of deployment ${deploymentId}, waiting for the service to become stable instead`);
+      return false;
+    }
+
+    // Another deployment of the service, such as one started by a concurrent workflow run, replaced this one
+    if (!deployment) {
+      const error = new Error(`Deployment ${deploymentId} of service ${service} is no longer present, another deployment of the service may have replaced it`);
+      error.deploymentReplaced = true;
+      throw error;
+    }
+
+    if (deployment.rolloutState === 'FAILED') {
+      const reason = deployment.rolloutStateReason ?
+        deployment.rolloutStateReason.replace(/\.$/, '') :
+        'no reason given';
+      // When the circuit breaker rolls back, ECS starts a new primary deployment with the previous task definition
+      const rollbackDeployment = deployments.find(candidate => candidate.status === 'PRIMARY' &&
+        candidate.id !== deploymentId &&
+        candidate.taskDefinition !== deployment.taskDefinition);
+      if (!rollbackDeployment) {
+        throw new Error(`Deployment ${deploymentId} of service ${service} failed: ${reason}. ECS did not roll back the service`);
+      }
+
+      core.setOutput('rolled-back-task-definition-arn', rollbackDeployment.taskDefinition);
+      const error = new Error(`Deployment ${deploymentId} of service ${service} failed: ${reason}. ECS rolled back the service to task definition ${rollbackDeployment.taskDefinition}`);
+      error.rolledBackTaskDefinitionArn = rollbackDeployment.taskDefinition;
+      throw error;
+    }
+
+    if (Date.now() >= deadline) {
+      throw new Error(`Deployment ${deploymentId} of service ${service} did not complete within ${waitForMinutes} minutes`);
+    }
+    await sleep(WAIT_DEFAULT_DELAY_SEC * 1000);
+  }
+}
+
+// Wait for a blue/green, linear or canary service deployment to succeed, printing each lifecycle stage it goes through.
+// Fails as soon as ECS stops the deployment or starts rolling it back.
+async function waitForServiceDeployment(ecs, service, serviceDeploymentArn, waitForMinutes) {
+  const deadline = Date.now() + waitForMinutes * 60 * 1000;
+  let lastStage;
+  for (;;) {
+    const describeResponse = await ecs.describeServiceDeployments({
+      serviceDeploymentArns: [serviceDeploymentArn]
+    });
+    const serviceDeployment = (describeResponse.serviceDeployments || [])[0];
+    if (!serviceDeployment) {
+      throw new Error(`Service deployment ${serviceDeploymentArn} of service ${service} no longer exists`);
+    }
+
+    if (serviceDeployment.lifecycleStage && serviceDeployment.lifecycleStage !== lastStage) {
+      lastStage = serviceDeployment.lifecycleStage;
+      core.info(`Service deployment ${serviceDeploymentArn} of service ${service} is in stage ${lastStage}`);
+    }
+
+    if (serviceDeployment.status === 'SUCCESSFUL') {
+      core.info(`Service deployment ${serviceDeploymentArn} of service ${service} succeeded`);
+      return;
+    }
+
+    const reason = ((serviceDeployment.rollback && serviceDeployment.rollback.reason) || serviceDeployment.statusReason || 'no reason given').replace(/\.$/, '');
+    if (SERVICE_DEPLOYMENT_ROLLBACK_STATUSES.includes(serviceDeployment.status)) {
+      const rolledBackTaskDefArn = await findServiceRevisionTaskDefinition(ecs, serviceDeployment.rollback && serviceDeployment.rollback.serviceRevisionArn);
+      if (rolledBackTaskDefArn) {
+        core.setOutput('rolled-back-task-definition-arn', rolledBackTaskDefArn);
+      }
+      const error = new Error(`Service deployment ${serviceDeploymentArn} of service ${service} failed: ${reason}. ECS rolled back the service` +
+        (rolledBackTaskDefArn ? ` to task definition ${rolledBackTaskDefArn}` : ''));
+      error.rolledBackTaskDefinitionArn = rolledBackTaskDefArn;
+      throw error;
+    }
+    if (serviceDeployment.status === 'ROLLBACK_FAILED') {
+      throw new Error(`Service deployment ${serviceDeploymentArn} of service ${service} failed: ${reason}. ECS could not roll back the service`);
+    }
+    if (serviceDeployment.status === 'STOPPED' || serviceDeployment.status === 'STOP_REQUESTED') {
+      throw new Error(`Service deployment ${serviceDeploymentArn} of service ${service} was stopped: ${reason}`);
+    }
+
+    if (Date.now() >= deadline) {
+      throw new Error(`Service deployment ${serviceDeploymentArn} of service ${service} did not complete within ${waitForMinutes} minutes`);
+    }
+    await sleep(WAIT_DEFAULT_DELAY_SEC * 1000);
+  }
+}
+
+// Look up the task definition of a service revision, such as the one a service deployment rolled back to
+async function findServiceRevisionTaskDefinition(ecs, serviceRevisionArn) {
+  if (!serviceRevisionArn) {
+    return undefined;
+  }
+  const describeResponse = await ecs.describeServiceRevisions({
+    serviceRevisionArns: [serviceRevisionArn]
+  });
+  const serviceRevision = (describeResponse.serviceRevisions || [])[0];
+  return serviceRevision ? serviceRevision.taskDefinition : undefined;
+}
+
+// Poll the service, printing the events created since the deployment started and the progress of its primary deployment.
+// Returns a function that stops polling.
+function startServiceEventStream(ecs, clusterName, service, startedAt) {
+  const printedEventIds = new Set();
+  let lastProgress;
+  let stopped = false;
+  let timer;
+  let inFlightPoll = Promise.resolve();
+
+  const poll = async () => {
+    try {
+      const describeResponse = await ecs.describeServices({
+        services: [service],
+        cluster: clusterName
+      });
+      const serviceResponse = describeResponse.services && describeResponse.services[0];
+      if (serviceResponse) {
+        // Events are returned newest first
+        const newEvents = (serviceResponse.events || [])
+          .filter(event => !printedEventIds.has(event.id) && new Date(event.createdAt) >= startedAt)
+          .reverse();
+        for (var event of newEvents) {
+          printedEventIds.add(event.id);
+          core.info(`[${service}] ${new Date(event.createdAt).toISOString()} ${event.message}`);
+        }
+
+        const primaryDeployment = (serviceResponse.deployments || []).find(deployment => deployment.status === 'PRIMARY');
+        if (primaryDeployment) {
+          const progress = `[${service}] Deployment ${primaryDeployment.id}` +
+            (primaryDeployment.rolloutState ? ` is ${primaryDeployment.rolloutState}` : '') +
+            `: ${primaryDeployment.runningCount} running, ${primaryDeployment.pendingCount} pending, ${primaryDeployment.desiredCount} desired`;
+          if (progress !== lastProgress) {
+            core.info(progress);
+            lastProgress = progress;
+          }
+        }
+      }
+    } catch (error) {
+      core.debug(`Unable to describe service ${service}: ${error.message}`);
+    }
+
+    if (!stopped) {
+      timer = setTimeout(() => {
+        inFlightPoll = poll();
+      }, WAIT_DEFAULT_DELAY_SEC * 1000);
+    }
+  };
+
+  timer = setTimeout(() => {
+    inFlightPoll = poll();
+  }, 0);
+
+  return async () => {
+    stopped = true;
+    clearTimeout(timer);
+    await inFlightPoll;
+  };
+}
+
+// Describe the tasks of the service that stopped after being started with the given task definition
+async function describeStoppedTasks(ecs, clusterName, service, taskDefArn) {
+  const listResponse = await ecs.listTasks({
+    cluster: clusterName,
+    serviceName: service,
+    desiredStatus: 'STOPPED'
+  });
+  const taskArns = (listResponse.taskArns || []).slice(0, DESCRIBE_TASKS_MAX_RESULTS);
+  if (taskArns.length === 0) {
+    return [];
+  }
+
+  const describeResponse = await ecs.describeTasks({
+    cluster: clusterName,
+    tasks: taskArns
+  });
+  return (describeResponse.tasks || [])
+    .filter(task => task.taskDefinitionArn === taskDefArn)
+    .map(task => {
+      const containers = (task.containers || []).map(container => ({
+        name: container.name,
+        exitCode: container.exitCode,
+        reason: container.reason
+      }));
+      const reasons = [task.stoppedReason].concat(containers.map(container => container.reason));
+      return {
+        taskArn: task.taskArn,
+        stopCode: task.stopCode,
+        stoppedReason: task.stoppedReason,
+        imagePullError: reasons.some(reason => IMAGE_PULL_ERROR_PATTERN.test(reason || '')),
+        containers: containers
+      };
+    });
+}
+
+// Log why the tasks of a failed deployment stopped, and set them as the 'stopped-tasks' output
+async function reportStoppedTasks(ecs, clusterName, service, taskDefArn) {
+  let stoppedTasks;
+  try {
+    stoppedTasks = await describeStoppedTasks(ecs, clusterName, service, taskDefArn);
+  } catch (error) {
+    core.debug(`Unable to describe the stopped tasks of service ${service}: ${error.message}`);
+    return undefined;
+  }
+
+  for (var stoppedTask of stoppedTasks) {
+    core.error(`Task ${stoppedTask.taskArn} of service ${service} stopped` +
+      (stoppedTask.imagePullError ? ' because its image could not be pulled' : '') +
+      `: ${stoppedTask.stoppedReason}`);
+    for (var container of stoppedTask.containers) {
+      const exitCode = container.exitCode === undefined ? 'none' : container.exitCode;
+      core.info(`  Container ${container.name}: exit code ${exitCode}` + (container.reason ? `, reason: ${container.reason}` : ''));
+    }
+  }
+  core.setOutput('stopped-tasks', JSON.stringify(stoppedTasks));
+  return stoppedTasks;
+}
+
+// Print the last lines of the CloudWatch Logs of the containers that failed in the stopped tasks of each failed service.
+// The logs are read in the 'awslogs-region' of each container, or in the default region of the action.
+async function printStoppedContainerLogs(createLogsClient, taskDefContents, results, lineCount) {
+  const logsClients = {};
+  const logConfigurations = {};
+  for (var containerDef of taskDefContents.containerDefinitions || []) {
+    const logConfiguration = containerDef.logConfiguration;
+    if (logConfiguration && logConfiguration.logDriver === 'awslogs' && logConfiguration.options) {
+      logConfigurations[containerDef.name] = logConfiguration.options;
+    }
+  }
+
+  for (var result of results) {
+    for (var stoppedTask of (result.stoppedTasks || []).slice(0, CONTAINER_LOGS_MAX_TASKS)) {
+      const taskId = stoppedTask.taskArn.split('/').pop();
+      for (var container of stoppedTask.containers) {
+        const logOptions = logConfigurations[container.name];
+        if (container.exitCode === 0 || !logOptions) {
+          continue;
+        }
+
+        // Without a stream prefix, awslogs names the log streams after the Docker container ID, which cannot be derived
+        if (!logOptions['awslogs-stream-prefix']) {
+          core.debug(`Unable to find the log stream of container ${container.name}: its log configuration has no 'awslogs-stream-prefix'`);
+          continue;
+        }
+        const logStreamName = `${logOptions['awslogs-stream-prefix']}/${container.name}/${taskId}`;
+
+        const region = logOptions['awslogs-region'] || '';
+        if (!logsClients[region]) {
+          logsClients[region] = createLogsClient(region || undefined);
+        }
+
+        core.startGroup(`Last ${lineCount} log lines of container ${container.name} in task ${taskId} of service ${result.service}`);
+        try {
+          const response = await logsClients[region].getLogEvents({
+            logGroupName: logOptions['awslogs-group'],
+            logStreamName: logStreamName,
+            limit: lineCount,
+            startFromHead: false
+          });
+          for (var event of response.events || []) {
+            core.info(`${new Date(event.timestamp).toISOString()} ${event.message}`);
+          }
+        } catch (error) {
+          core.info(`Unable to read log stream ${logStreamName} of log group ${logOptions['awslogs-group']}: ${error.message}`);
+        } finally {
+          core.endGroup();
+        }
+      }
+    }
+  }
+}
+
+// Update a service back to the task definition it was running before a failed deployment, along with the desired count,
+// deployment configuration, capacity provider strategy, network configuration and platform version if the deployment
+// changed them
+async function rollbackEcsService(ecs, clusterName, service, previousService, deployOptions, deployError) {
+  const previousTaskDefArn = previousService && previousService.taskDefinition;
+  if (!previousTaskDefArn) {
+    core.warning(`Unable to roll back service ${service}: its previous task definition is unknown`);
+    throw deployError;
+  }
+
+  core.warning(`Service ${service} did not become stable, rolling back to task definition ${previousTaskDefArn}`);
+  const rollbackStartedAt = new Date();
+  let params = {
+    cluster: clusterName,
+    service: service,
+    taskDefinition: previousTaskDefArn
+  };
+  if (!isNaN(deployOptions.desiredCount) && deployOptions.desiredCount !== undefined && previousService.desiredCount !== undefined) {
+    params.desiredCount = previousService.desiredCount;
+  }
+  if (deployOptions.deploymentConfiguration && previousService.deploymentConfiguration) {
+    params.deploymentConfiguration = previousService.deploymentConfiguration;
+  }
+  for (var attribute of Object.keys(deployOptions.serviceOverrides || {})) {
+    // An empty strategy moves a service that had none back to the default capacity provider strategy of the cluster
+    if (attribute === 'capacityProviderStrategy') {
+      params.capacityProviderStrategy = previousService.capacityProviderStrategy || [];
+    } else if (previousService[attribute] !== undefined) {
+      params[attribute] = previousService[attribute];
+    }
+  }
+  await ecs.updateService(params);
+  core.setOutput('rolled-back-task-definition-arn', previousTaskDefArn);
+
+  if (deployOptions.waitForRollback) {
+    core.debug(`Waiting for the rolled back service to become stable. Will wait for ${deployOptions.waitForMinutes} minutes`);
+    try {
+      await waitForServiceStability(ecs, clusterName, service, deployOptions, rollbackStartedAt);
+    } catch (error) {
+      throw new Error(`Service ${service} was rolled back to task definition ${previousTaskDefArn} but did not become stable: ${error.message}`);
+    }
+  }
+
+  const rollbackError = new Error(`Service ${service} did not become stable and was rolled back to task definition ${previousTaskDefArn}: ${deployError.message}`);
+  rollbackError.rolledBackTaskDefinitionArn = previousTaskDefArn;
+  rollbackError.stoppedTasks = deployError.stoppedTasks;
+  throw rollbackError;
+}
+
+// Wait until ECS has started the tasks of a task set and registered them with its load balancers
+async function waitForTaskSetSteady(ecs, clusterName, service, taskSetArn, waitForMinutes) {
+  const deadline = Date.now() + waitForMinutes * 60 * 1000;
+  for (;;) {
+    const describeResponse = await ecs.describeTaskSets({
+      cluster: clusterName,
+      service: service,
+      taskSets: [taskSetArn]
+    });
+    const taskSet = (describeResponse.taskSets || [])[0];
+    if (!taskSet) {
+      throw new Error(`Task set ${taskSetArn} of service ${service} no longer exists`);
+    }
+    if (taskSet.stabilityStatus === 'STEADY_STATE') {
+      return;
+    }
+
+    if (Date.now() >= deadline) {
+      throw new Error(`Task set ${taskSetArn} of service ${service} did not reach steady state within ${waitForMinutes} minutes`);
+    }
+    await sleep(WAIT_DEFAULT_DELAY_SEC * 1000);
+  }
+}
+
+// Deploy to a service using the EXTERNAL deployment controller by creating a task set with the new task definition,
+// copying the settings of the primary task set, and promoting it to primary once it is steady
+async function deployExternalTaskSet(ecs, clusterName, service, serviceResponse, taskDefArn, deployOptions) {
+  const taskSets = serviceResponse.taskSets || [];
+  const primaryTaskSet = taskSets.find(taskSet => taskSet.status === 'PRIMARY') || {};
+
+  const createParams = {
+    cluster: clusterName,
+    service: service,
+    taskDefinition: taskDefArn,
+    scale: { unit: 'PERCENT', value: 100 }
+  };
+  for (var attribute of ['loadBalancers', 'serviceRegistries', 'networkConfiguration', 'capacityProviderStrategy', 'launchType', 'platformVersion']) {
+    const value = primaryTaskSet[attribute];
+    if (value !== undefined && !(Array.isArray(value) && value.length === 0)) {
+      createParams[attribute] = value;
+    }
+  }
+  const createResponse = await ecs.createTaskSet(createParams);
+  const taskSetArn = createResponse.taskSet.taskSetArn;
+  core.setOutput('task-set-arn', taskSetArn);
+  core.info(`Created task set ${taskSetArn} for service ${service}`);
+
+  await waitForTaskSetSteady(ecs, clusterName, service, taskSetArn, deployOptions.waitForMinutes);
+  await ecs.updateServicePrimaryTaskSet({
+    cluster: clusterName,
+    service: service,
+    primaryTaskSet: taskSetArn
+  });
+  core.info(`Task set ${taskSetArn} is now the primary task set of service ${service}`);
+
+  if (deployOptions.deletePreviousTaskSets) {
+    for (var previousTaskSet of taskSets) {
+      if (previousTaskSet.taskSetArn === taskSetArn) {
+        continue;
+      }
+      await ecs.updateTaskSet({
+        cluster: clusterName,
+        service: service,
+        taskSet: previousTaskSet.taskSetArn,
+        scale: { unit: 'PERCENT', value: 0 }
+      });
+      await ecs.deleteTaskSet({
+        cluster: clusterName,
+        service: service,
+        taskSet: previousTaskSet.taskSetArn
+      });
+      core.info(`Deleted previous task set ${previousTaskSet.taskSetArn} of service ${service}`);
+    }
+  }
+
+  return taskSetArn;
+}
+
+// Run a one-off task with the new task definition, using the network and capacity settings of the service
+async function runPreDeployTask(ecs, target, taskDefArn, taskDefContents, containerOverrides, waitForMinutes, serviceDefinition, serviceOverrides) {
+  const describeResponse = await ecs.describeServices({
+    services: [target.service],
+    cluster: target.cluster
+  });
+  let serviceResponse;
+  if (describeResponse.failures && describeResponse.failures.length > 0) {
+    const failure = describeResponse.failures[0];
+    if (failure.reason !== 'MISSING' || !serviceDefinition) {
+      throw new Error(`${failure.arn} is ${failure.reason}`);
+    }
+    // The service is only created after the task has run, so run the task with the settings it will be created with
+    core.info(`Service ${target.service} does not exist yet, running the task with the settings of the service definition`);
+    serviceResponse = Object.assign({}, serviceDefinition, serviceOverrides);
   } else {
-    core.debug('Not waiting for the service to become stable');
+    serviceResponse = describeResponse.services[0];
+  }
+
+  let params = {
+    cluster: target.cluster,
+    taskDefinition: taskDefArn,
+    count: 1,
+    startedBy: 'GitHub-Actions'
+  };
+  if (serviceResponse.capacityProviderStrategy && serviceResponse.capacityProviderStrategy.length > 0) {
+    params.capacityProviderStrategy = serviceResponse.capacityProviderStrategy;
+  } else if (serviceResponse.launchType) {
+    params.launchType = serviceResponse.launchType;
+  }
+  if (serviceResponse.platformVersion) {
+    params.platformVersion = serviceResponse.platformVersion;
+  }
+  if (serviceResponse.networkConfiguration) {
+    params.networkConfiguration = serviceResponse.networkConfiguration;
+  }
+  if (containerOverrides) {
+    params.overrides = { containerOverrides: containerOverrides };
+  }
+
+  core.info(`Running a task with the new task definition in cluster ${target.cluster} before updating the services`);
+  const runResponse = await ecs.runTask(params);
+  if (runResponse.failures && runResponse.failures.length > 0) {
+    const failure = runResponse.failures[0];
+    throw new Error(`Failed to run task: ${failure.arn} is ${failure.reason}`);
+  }
+  const taskArn = runResponse.tasks[0].taskArn;
+  core.setOutput('run-task-arn', taskArn);
+
+  core.debug(`Waiting for task ${taskArn} to stop. Will wait for ${waitForMinutes} minutes`);
+  await waitUntilTasksStopped({
+    client: ecs,
+    minDelay: WAIT_DEFAULT_DELAY_SEC,
+    maxWaitTime: waitForMinutes * 60
+  }, {
+    tasks: [taskArn],
+    cluster: target.cluster
+  });
+
+  // Every essential container must have exited successfully
+  const describeTasksResponse = await ecs.describeTasks({
+    tasks: [taskArn],
+    cluster: target.cluster
+  });
+  const task = describeTasksResponse.tasks[0];
+  const essentialNames = (taskDefContents.containerDefinitions || [])
+    .filter(container => container.essential !== false)
+    .map(container => container.name);
+  const failedContainers = (task.containers || [])
+    .filter(container => essentialNames.includes(container.name) && container.exitCode !== 0);
+  if (failedContainers.length > 0) {
+    const containerErrors = failedContainers.map(container => {
+      const exitCode = container.exitCode === undefined ? 'unknown' : container.exitCode;
+      return `container ${container.name} exited with code ${exitCode}` + (container.reason ? ` (${container.reason})` : '');
+    });
+    throw new Error(`Task ${taskArn} failed: ${containerErrors.join(', ')}. Stopped reason: ${task.stoppedReason}`);
+  }
+
+  core.info(`Task ${taskArn} completed successfully`);
+}
+
+// Retry an AWS API call with exponential backoff while it is being throttled
+async function retryOnThrottling(apiCall) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await apiCall();
+    } catch (error) {
+      const throttled = error.name === 'ThrottlingException' || (error.$retryable && error.$retryable.throttling);
+      if (!throttled || attempt >= THROTTLING_MAX_ATTEMPTS) {
+        throw error;
+      }
+      const delayMs = THROTTLING_BASE_DELAY_MS * Math.pow(2, attempt - 1);
+      core.debug(`Request was throttled, retrying in ${delayMs} ms`);
+      await sleep(delayMs);
+    }
+  }
+}
+
+// List the revisions of a task definition family with the given status, newest first
+async function listTaskDefinitionRevisions(ecs, family, status) {
+  const taskDefArns = [];
+  let nextToken;
+  do {
+    const listResponse = await retryOnThrottling(() => ecs.listTaskDefinitions({
+      familyPrefix: family,
+      status: status,
+      sort: 'DESC',
+      nextToken: nextToken
+    }));
+    taskDefArns.push(...listResponse.taskDefinitionArns);
+    nextToken = listResponse.nextToken;
+  } while (nextToken);
+  return taskDefArns;
+}
+
+// Deregister all but the newest revisions of a task definition family, keeping the revisions used by the services
+async function cleanUpTaskDefinitionRevisions(ecs, family, targets, retainCount, deleteInactive) {
+  const inUseArns = new Set();
+  for (var target of targets) {
+    const describeResponse = await retryOnThrottling(() => ecs.describeServices({
+      services: [target.service],
+      cluster: target.cluster
+    }));
+    for (var serviceResponse of describeResponse.services || []) {
+      inUseArns.add(serviceResponse.taskDefinition);
+      for (var deployment of serviceResponse.deployments || []) {
+        inUseArns.add(deployment.taskDefinition);
+      }
+    }
+  }
+
+  const activeArns = await listTaskDefinitionRevisions(ecs, family, 'ACTIVE');
+  const deregisterArns = activeArns.slice(retainCount).filter(taskDefArn => !inUseArns.has(taskDefArn));
+  core.info(`Keeping the ${retainCount} newest revisions of task definition family ${family}, deregistering ${deregisterArns.length} revisions`);
+  for (var deregisterArn of deregisterArns) {
+    await retryOnThrottling(() => ecs.deregisterTaskDefinition({ taskDefinition: deregisterArn }));
+    core.info(`Deregistered task definition ${deregisterArn}`);
+  }
+
+  if (!deleteInactive) {
+    return;
+  }
+
+  const inactiveArns = (await listTaskDefinitionRevisions(ecs, family, 'INACTIVE')).filter(taskDefArn => !inUseArns.has(taskDefArn));
+  for (let index = 0; index < inactiveArns.length; index += DELETE_TASK_DEFINITIONS_BATCH_SIZE) {
+    const batch = inactiveArns.slice(index, index + DELETE_TASK_DEFINITIONS_BATCH_SIZE);
+    const deleteResponse = await retryOnThrottling(() => ecs.deleteTaskDefinitions({ taskDefinitions: batch }));
+    for (var deletedTaskDef of deleteResponse.taskDefinitions || []) {
+      core.info(`Deleted task definition ${deletedTaskDef.taskDefinitionArn}`);
+    }
+    for (var failure of deleteResponse.failures || []) {
+      core.warning(`Unable to delete task definition ${failure.arn}: ${failure.reason}`);
+    }
   }
 }
 
@@ -75,110 +964,926 @@ function findAppSpecKey(obj, keyName) {
     }
   }
 
-  throw new Error(`AppSpec file must include property '${keyName}'`);
+  throw new Error(`AppSpec file must include property '${keyName}'`);
+}
+
+function isEmptyValue(value) {
+  if (value === null || value === undefined || value === '') {
+    return true;
+  }
+
+  if (Array.isArray(value)) {
+    for (var element of value) {
+      if (!isEmptyValue(element)) {
+        // the array has at least one non-empty element
+        return false;
+      }
+    }
+    // the array has no non-empty elements
+    return true;
+  }
+
+  if (typeof value === 'object') {
+    for (var childValue of Object.values(value)) {
+      if (!isEmptyValue(childValue)) {
+        // the object has at least one non-empty property
+        return false;
+      }
+    }
+    // the object has no non-empty property
+    return true;
+  }
+
+  return false;
+}
+
+function emptyValueReplacer(_, value) {
+  if (isEmptyValue(value)) {
+    return undefined;
+  }
+
+  if (Array.isArray(value)) {
+    return value.filter(e => !isEmptyValue(e));
+  }
+
+  return value;
+}
+
+function cleanNullKeys(obj) {
+  return JSON.parse(JSON.stringify(obj, emptyValueReplacer));
+}
+
+function removeIgnoredAttributes(taskDef) {
+  for (var attribute of IGNORED_TASK_DEFINITION_ATTRIBUTES) {
+    if (taskDef[attribute]) {
+      core.warning(`Ignoring property '${attribute}' in the task definition file. ` +
+        'This property is returned by the Amazon ECS DescribeTaskDefinition API and may be shown in the ECS console, ' +
+        'but it is not a valid field when registering a new task definition. ' +
+        'This field can be safely removed from your task definition file.');
+      delete taskDef[attribute];
+    }
+  }
+
+  return taskDef;
+}
+
+function maintainValidObjects(taskDef) {
+    if (validateProxyConfigurations(taskDef)) {
+        taskDef.proxyConfiguration.properties.forEach((property, index, arr) => {
+            if (!('value' in property)) {
+                arr[index].value = '';
+            }
+            if (!('name' in property)) {
+                arr[index].name = '';
+            }
+        });
+    }
+
+    if(taskDef && taskDef.containerDefinitions){
+      taskDef.containerDefinitions.forEach((container) => {
+        if(container.environment){
+          container.environment.forEach((property, index, arr) => {
+            if (!('value' in property)) {
+              arr[index].value = '';
+            }
+          });
+        }
+      });
+    }
+    return taskDef;
+}
+
+function validateProxyConfigurations(taskDef){
+  return 'proxyConfiguration' in taskDef && taskDef.proxyConfiguration.type && taskDef.proxyConfiguration.type == 'APPMESH' && taskDef.proxyConfiguration.properties && taskDef.proxyConfiguration.properties.length > 0;
+}
+
+function describeValueType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  return Array.isArray(value) ? 'an array' : `a ${typeof value}`;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Check a value against the shape of a RegisterTaskDefinition input, collecting every problem with its JSON path
+function validateShape(value, shape, jsonPath, problems) {
+  if (Array.isArray(shape)) {
+    if (!Array.isArray(value)) {
+      problems.push(`${jsonPath}: expected an array, got ${describeValueType(value)}`);
+      return;
+    }
+    value.forEach((item, index) => validateShape(item, shape[0], `${jsonPath}[${index}]`, problems));
+  } else if (typeof shape === 'object') {
+    if (!isPlainObject(value)) {
+      problems.push(`${jsonPath}: expected an object, got ${describeValueType(value)}`);
+      return;
+    }
+    for (var key of Object.keys(value)) {
+      if (!Object.prototype.hasOwnProperty.call(shape, key)) {
+        problems.push(`${jsonPath}.${key}: unknown property`);
+      } else {
+        validateShape(value[key], shape[key], `${jsonPath}.${key}`, problems);
+      }
+    }
+    for (var requiredKey of REQUIRED_PROPERTIES.get(shape) || []) {
+      if (value[requiredKey] === undefined) {
+        problems.push(`${jsonPath}.${requiredKey}: missing required property`);
+      }
+    }
+  } else if (shape === 'string-map') {
+    if (!isPlainObject(value)) {
+      problems.push(`${jsonPath}: expected an object, got ${describeValueType(value)}`);
+      return;
+    }
+    for (var mapKey of Object.keys(value)) {
+      if (typeof value[mapKey] !== 'string') {
+        problems.push(`${jsonPath}.${mapKey}: expected a string, got ${describeValueType(value[mapKey])}`);
+      }
+    }
+  } else if (shape === 'string-or-number') {
+    if (typeof value !== 'string' && typeof value !== 'number') {
+      problems.push(`${jsonPath}: expected a string or a number, got ${describeValueType(value)}`);
+    }
+  } else if (typeof value !== shape) {
+    problems.push(`${jsonPath}: expected a ${shape}, got ${describeValueType(value)}`);
+  }
+}
+
+// Convert task CPU and memory values such as '1 vCPU' and '2 GB' to CPU units and MiB
+function parseTaskSize(value, unit) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([a-z]+)?$/i);
+  if (!match) {
+    return NaN;
+  }
+  if (!match[2]) {
+    return Number(match[1]);
+  }
+  return match[2].toLowerCase() === unit ? Number(match[1]) * 1024 : NaN;
+}
+
+// Check the task CPU and memory against the combinations supported by Fargate
+function validateFargateTaskSize(taskDef, problems) {
+  if (taskDef.cpu === undefined || taskDef.memory === undefined) {
+    problems.push(`$.${taskDef.cpu === undefined ? 'cpu' : 'memory'}: Fargate task definitions require a task-level cpu and memory`);
+    return;
+  }
+
+  const cpu = parseTaskSize(taskDef.cpu, 'vcpu');
+  const memory = parseTaskSize(taskDef.memory, 'gb');
+  const supportedMemory = FARGATE_MEMORY_BY_CPU[cpu];
+  if (!supportedMemory) {
+    problems.push(`$.cpu: ${taskDef.cpu} is not supported by Fargate, use one of ${Object.keys(FARGATE_MEMORY_BY_CPU).join(', ')} CPU units`);
+    return;
+  }
+  const isSupported = supportedMemory.values ?
+    supportedMemory.values.includes(memory) :
+    memory >= supportedMemory.min && memory <= supportedMemory.max && memory % supportedMemory.step === 0;
+  if (!isSupported) {
+    const supportedDescription = supportedMemory.values ?
+      supportedMemory.values.join(', ') :
+      `${supportedMemory.min} to ${supportedMemory.max} in increments of ${supportedMemory.step}`;
+    problems.push(`$.memory: ${taskDef.memory} is not supported by Fargate with ${cpu} CPU units, use ${supportedDescription} MiB`);
+  }
+}
+
+// Validate the task definition locally before registering it, reporting every problem at once
+function validateTaskDefinition(taskDef) {
+  const problems = [];
+  validateShape(taskDef, TASK_DEFINITION_SHAPE, '$', problems);
+
+  if (Array.isArray(taskDef.requiresCompatibilities) && taskDef.requiresCompatibilities.includes('FARGATE')) {
+    validateFargateTaskSize(taskDef, problems);
+  }
+
+  const containerDefs = Array.isArray(taskDef.containerDefinitions) ? taskDef.containerDefinitions : [];
+  const containerIndexes = {};
+  containerDefs.forEach((containerDef, index) => {
+    if (!isPlainObject(containerDef) || containerDef.name === undefined) {
+      return;
+    }
+    if (containerIndexes[containerDef.name] !== undefined) {
+      problems.push(`$.containerDefinitions[${index}].name: duplicate container name '${containerDef.name}', also used by $.containerDefinitions[${containerIndexes[containerDef.name]}]`);
+    } else {
+      containerIndexes[containerDef.name] = index;
+    }
+  });
+  containerDefs.forEach((containerDef, index) => {
+    if (!isPlainObject(containerDef) || !Array.isArray(containerDef.dependsOn)) {
+      return;
+    }
+    containerDef.dependsOn.forEach((dependency, dependencyIndex) => {
+      if (isPlainObject(dependency) && dependency.containerName !== undefined && containerIndexes[dependency.containerName] === undefined) {
+        problems.push(`$.containerDefinitions[${index}].dependsOn[${dependencyIndex}].containerName: container '${dependency.containerName}' is not defined in the task definition`);
+      }
+    });
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`The task definition is not valid, found ${problems.length} problem(s):\n${problems.join('\n')}`);
+  }
+}
+
+// Parse the severity of each lint rule, 'warn' unless configured otherwise
+function parseLintSeverities(lintRulesInput) {
+  const configuredSeverities = parseKeyValueLines(lintRulesInput, 'lint rule', 'rule=severity');
+  const severities = {};
+  for (var ruleId of Object.keys(LINT_RULES)) {
+    severities[ruleId] = 'warn';
+  }
+  for (var [configuredRuleId, severity] of Object.entries(configuredSeverities)) {
+    if (!LINT_RULES[configuredRuleId]) {
+      throw new Error(`Unknown lint rule '${configuredRuleId}', expected one of: ${Object.keys(LINT_RULES).join(', ')}`);
+    }
+    if (!LINT_SEVERITIES.includes(severity)) {
+      throw new Error(`Invalid severity '${severity}' for lint rule '${configuredRuleId}', expected one of: ${LINT_SEVERITIES.join(', ')}`);
+    }
+    severities[configuredRuleId] = severity;
+  }
+  return severities;
+}
+
+// Run the lint rules on every container of the task definition, annotating each finding as a warning or an error, and
+// failing if any rule set to 'error' has findings
+function lintTaskDefinition(taskDef, severities) {
+  let errorCount = 0;
+  for (var container of taskDef.containerDefinitions || []) {
+    for (var [ruleId, check] of Object.entries(LINT_RULES)) {
+      if (severities[ruleId] === 'off') {
+        continue;
+      }
+      for (var finding of [].concat(check(container, taskDef) || [])) {
+        if (severities[ruleId] === 'error') {
+          core.error(`${finding} (${ruleId})`);
+          errorCount++;
+        } else {
+          core.warning(`${finding} (${ruleId})`);
+        }
+      }
+    }
+  }
+
+  if (errorCount > 0) {
+    throw new Error(`The task definition has ${errorCount} lint error(s)`);
+  }
+}
+
+// Parse an optional numeric input, checking that it is within the given range. The maximum is optional.
+function parseNumberInput(inputName, minimum, maximum) {
+  const input = core.getInput(inputName, { required: false });
+  if (!input) {
+    return undefined;
+  }
+  const value = Number(input);
+  if (maximum === undefined && (isNaN(value) || value < minimum)) {
+    throw new Error(`'${inputName}' must be a number greater than or equal to ${minimum}`);
+  }
+  if (isNaN(value) || value < minimum || value > maximum) {
+    throw new Error(`'${inputName}' must be a number between ${minimum} and ${maximum}`);
+  }
+  return value;
+}
+
+// Parse an optional boolean input, telling apart inputs that were not provided
+function parseOptionalBooleanInput(inputName) {
+  const input = core.getInput(inputName, { required: false });
+  if (!input) {
+    return undefined;
+  }
+  return input.toLowerCase() === 'true';
+}
+
+// Parse an optional input given either as inline JSON or YAML, or as the path of a JSON or YAML file
+function parseJsonOrYamlInput(inputName) {
+  const input = (core.getInput(inputName, { required: false }) || '').trim();
+  if (!input) {
+    return undefined;
+  }
+  if (!/\.(json|ya?ml)$/i.test(input)) {
+    return yaml.parse(input);
+  }
+  const inputPath = path.isAbsolute(input) ?
+    input :
+    path.join(process.env.GITHUB_WORKSPACE, input);
+  return yaml.parse(fs.readFileSync(inputPath, 'utf8'));
+}
+
+// Parse 'KEY=value' lines, such as template variables, into an object
+function parseKeyValueLines(linesInput, entryDescription, expectedFormat) {
+  const values = {};
+  for (var line of (linesInput || '').split('\n')) {
+    const trimmedLine = line.trim();
+    if (!trimmedLine || trimmedLine.startsWith('#')) {
+      continue;
+    }
+
+    const separatorIndex = trimmedLine.indexOf('=');
+    if (separatorIndex <= 0) {
+      throw new Error(`Invalid ${entryDescription} '${trimmedLine}', expected '${expectedFormat}'`);
+    }
+    values[trimmedLine.slice(0, separatorIndex).trim()] = trimmedLine.slice(separatorIndex + 1).trim();
+  }
+  return values;
+}
+
+// Replace placeholders in every string value of a parsed file, failing with the list of placeholders that have no value
+function renderTemplate(contents, variables, fileDescription) {
+  const unresolvedNames = new Set();
+
+  const render = (value) => {
+    if (typeof value === 'string') {
+      return value.replace(TEMPLATE_PLACEHOLDER_PATTERN, (placeholder, name) => {
+        if (Object.prototype.hasOwnProperty.call(variables, name)) {
+          return variables[name];
+        }
+        unresolvedNames.add(name);
+        return placeholder;
+      });
+    }
+    if (Array.isArray(value)) {
+      return value.map(render);
+    }
+    if (value && typeof value === 'object') {
+      const rendered = {};
+      for (var key in value) {
+        rendered[key] = render(value[key]);
+      }
+      return rendered;
+    }
+    return value;
+  };
+
+  const renderedContents = render(contents);
+  if (unresolvedNames.size > 0) {
+    throw new Error(`Unresolved placeholders in the ${fileDescription}: ${Array.from(unresolvedNames).join(', ')}`);
+  }
+  return renderedContents;
+}
+
+function isDeletionMarker(value) {
+  return value !== null && typeof value === 'object' && value[OVERLAY_DELETE_MARKER] === true;
+}
+
+// Remove the '$delete' markers of an overlay value that has nothing to delete in the base task definition, such as a new
+// container, so that they are not registered
+function stripDeletionMarkers(value) {
+  if (Array.isArray(value)) {
+    return value.filter(item => !isDeletionMarker(item)).map(stripDeletionMarkers);
+  }
+  if (isPlainObject(value)) {
+    const stripped = {};
+    for (var key of Object.keys(value)) {
+      if (!isDeletionMarker(value[key])) {
+        stripped[key] = stripDeletionMarkers(value[key]);
+      }
+    }
+    return stripped;
+  }
+  return value;
+}
+
+// Deep merge a task definition overlay into a base task definition. Objects are merged property by property, entries of
+// named arrays such as containerDefinitions are merged with the base entry of the same name, and other arrays and
+// values replace the base value. { "$delete": true } removes a property, or the named array entry it is given for.
+function mergeTaskDefinitionOverlay(base, overlay, attribute) {
+  if (Array.isArray(base) && Array.isArray(overlay) && NAMED_ARRAY_ATTRIBUTES.includes(attribute)) {
+    const merged = base.slice();
+    for (var overlayEntry of overlay) {
+      const index = merged.findIndex(baseEntry => baseEntry && overlayEntry && baseEntry.name === overlayEntry.name);
+      if (isDeletionMarker(overlayEntry)) {
+        if (index !== -1) {
+          merged.splice(index, 1);
+        }
+      } else if (index !== -1) {
+        merged[index] = mergeTaskDefinitionOverlay(merged[index], overlayEntry);
+      } else {
+        merged.push(stripDeletionMarkers(overlayEntry));
+      }
+    }
+    return merged;
+  }
+
+  if (isPlainObject(base) && isPlainObject(overlay)) {
+    const merged = Object.assign({}, base);
+    for (var key of Object.keys(overlay)) {
+      if (isDeletionMarker(overlay[key])) {
+        delete merged[key];
+      } else {
+        merged[key] = mergeTaskDefinitionOverlay(base[key], overlay[key], key);
+      }
+    }
+    return merged;
+  }
+
+  return stripDeletionMarkers(overlay);
+}
+
+// Find the AWS::ECS::TaskDefinition resource of a parsed task definition file that is a CloudFormation resource, or a
+// CloudFormation template holding the resource. Returns undefined for task definitions in the API shape.
+function findCloudFormationTaskDefinition(contents, logicalId, file) {
+  if (!isPlainObject(contents)) {
+    return undefined;
+  }
+  if (contents.Type === 'AWS::ECS::TaskDefinition') {
+    return contents;
+  }
+  if (!isPlainObject(contents.Resources)) {
+    return undefined;
+  }
+
+  const taskDefIds = Object.keys(contents.Resources)
+    .filter(id => isPlainObject(contents.Resources[id]) && contents.Resources[id].Type === 'AWS::ECS::TaskDefinition');
+  if (logicalId) {
+    if (!taskDefIds.includes(logicalId)) {
+      throw new Error(`The CloudFormation template ${file} has no AWS::ECS::TaskDefinition resource '${logicalId}', found: ${taskDefIds.join(', ') || 'none'}`);
+    }
+    return contents.Resources[logicalId];
+  }
+  if (taskDefIds.length !== 1) {
+    throw new Error(`The CloudFormation template ${file} has ${taskDefIds.length} AWS::ECS::TaskDefinition resources, set 'task-definition-logical-id' to one of: ${taskDefIds.join(', ') || 'none'}`);
+  }
+  return contents.Resources[taskDefIds[0]];
+}
+
+// Convert the PascalCase properties of a CloudFormation value to the camelCase names of the API, collecting the JSON
+// path of every intrinsic function found
+function convertCloudFormationValue(value, jsonPath, intrinsicFunctions, keepKeys) {
+  if (Array.isArray(value)) {
+    return value.map((item, index) => convertCloudFormationValue(item, `${jsonPath}[${index}]`, intrinsicFunctions));
+  }
+  if (!isPlainObject(value)) {
+    return value;
+  }
+
+  const keys = Object.keys(value);
+  if (keys.length === 1 && CLOUDFORMATION_INTRINSIC_FUNCTIONS.includes(keys[0])) {
+    intrinsicFunctions.push(`${jsonPath}: ${keys[0]}`);
+    return value;
+  }
+
+  const converted = {};
+  for (var key of keys) {
+    const convertedKey = keepKeys ?
+      key :
+      CLOUDFORMATION_PROPERTY_NAMES[key] || key.charAt(0).toLowerCase() + key.slice(1);
+    const isMapProperty = !keepKeys && CLOUDFORMATION_MAP_PROPERTIES.includes(key);
+    converted[convertedKey] = convertCloudFormationValue(value[key], `${jsonPath}.${convertedKey}`, intrinsicFunctions, isMapProperty);
+  }
+  return converted;
+}
+
+// Convert a CloudFormation AWS::ECS::TaskDefinition resource to a task definition in the shape of the
+// RegisterTaskDefinition API, failing if it uses intrinsic functions
+function convertCloudFormationTaskDefinition(resource, file) {
+  const intrinsicFunctions = [];
+  const taskDef = convertCloudFormationValue(resource.Properties || {}, '$', intrinsicFunctions);
+  if (intrinsicFunctions.length > 0) {
+    throw new Error(`The CloudFormation task definition in ${file} uses intrinsic functions that the action cannot resolve:\n${intrinsicFunctions.join('\n')}`);
+  }
+  return taskDef;
+}
+
+// Replace the image of the named containers, failing if any of them is not in the task definition
+function overrideContainerImages(taskDef, containerImages) {
+  const containers = taskDef.containerDefinitions || [];
+  const missingNames = Object.keys(containerImages).filter(name => !containers.some(container => container.name === name));
+  if (missingNames.length > 0) {
+    throw new Error(`Containers in 'container-images' not found in the task definition: ${missingNames.join(', ')}`);
+  }
+
+  for (var container of containers) {
+    if (containerImages[container.name]) {
+      core.debug(`Using image ${containerImages[container.name]} for container ${container.name}`);
+      container.image = containerImages[container.name];
+    }
+  }
+  return taskDef;
+}
+
+// Read the variables of a .env file, or of a JSON file holding an object, into an object of strings
+function readEnvironmentFile(file) {
+  const filePath = path.isAbsolute(file) ?
+    file :
+    path.join(process.env.GITHUB_WORKSPACE, file);
+  const contents = fs.readFileSync(filePath, 'utf8');
+
+  if (/\.json$/i.test(file)) {
+    const values = JSON.parse(contents);
+    if (!isPlainObject(values)) {
+      throw new Error(`Environment file ${file} must contain a JSON object`);
+    }
+    const variables = {};
+    for (var [name, value] of Object.entries(values)) {
+      if (value !== null && typeof value === 'object') {
+        throw new Error(`Variable '${name}' of environment file ${file} must be a string, number or boolean`);
+      }
+      // Keep empty values, as maintainValidObjects does for environment variables of the task definition file
+      variables[name] = value === null ? '' : String(value);
+    }
+    return variables;
+  }
+
+  const variables = parseKeyValueLines(contents.replace(/^\s*export\s+/gm, ''), `variable in environment file ${file}`, 'KEY=value');
+  for (var variableName of Object.keys(variables)) {
+    // A ' #' after the value starts an inline comment, but a '#' inside quotes is part of the value
+    const quotedValue = variables[variableName].match(/^(["'])(.*?)\1(\s+#.*)?$/);
+    if (quotedValue) {
+      variables[variableName] = quotedValue[1] === '"' ? quotedValue[2].replace(/\\n/g, '\n') : quotedValue[2];
+    } else {
+      variables[variableName] = variables[variableName].replace(/\s+#.*$/, '');
+    }
+  }
+  return variables;
+}
+
+// Add the variables of the environment file given for each named container to its 'environment' or 'secrets',
+// resolving the variables the container already defines with the override policy
+function addContainerEnvironmentFiles(taskDef, containerFiles, attribute, overridePolicy, inputName) {
+  const containers = taskDef.containerDefinitions || [];
+  const missingNames = Object.keys(containerFiles).filter(name => !containers.some(container => container.name === name));
+  if (missingNames.length > 0) {
+    throw new Error(`Containers in '${inputName}' not found in the task definition: ${missingNames.join(', ')}`);
+  }
+
+  const valueAttribute = attribute === 'secrets' ? 'valueFrom' : 'value';
+  for (var container of containers) {
+    const file = containerFiles[container.name];
+    if (!file) {
+      continue;
+    }
+
+    const entries = container[attribute] || [];
+    for (var [name, value] of Object.entries(readEnvironmentFile(file))) {
+      const existingEntry = entries.find(entry => entry.name === name);
+      if (!existingEntry) {
+        entries.push({ name: name, [valueAttribute]: value });
+      } else if (overridePolicy === 'fail') {
+        throw new Error(`'${name}' of container ${container.name} is defined in both the task definition and ${file}`);
+      } else if (overridePolicy === 'override') {
+        core.debug(`Overriding '${name}' of container ${container.name} with the value from ${file}`);
+        existingEntry[valueAttribute] = value;
+      }
+    }
+    container[attribute] = entries;
+  }
+  return taskDef;
+}
+
+// Replace the ECR image tags of the containers with the digest of the image they currently point to, recording the
+// original image reference in a docker label. Images outside of ECR and images already given by digest are kept as is.
+async function resolveImageDigests(taskDef, createEcrClient) {
+  const ecrClients = {};
+  for (var container of taskDef.containerDefinitions || []) {
+    const match = (container.image || '').match(ECR_IMAGE_PATTERN);
+    if (!match) {
+      core.debug(`Not resolving the image of container ${container.name}: ${container.image} is not an ECR image tag`);
+      continue;
+    }
+
+    const [, registry, registryId, region, repositoryName] = match;
+    const imageTag = match[5] || 'latest';
+    if (!ecrClients[region]) {
+      ecrClients[region] = createEcrClient(region);
+    }
+    let describeResponse;
+    try {
+      describeResponse = await ecrClients[region].describeImages({
+        registryId: registryId,
+        repositoryName: repositoryName,
+        imageIds: [{ imageTag: imageTag }]
+      });
+    } catch (error) {
+      throw new Error(`Unable to resolve the image ${container.image} of container ${container.name}: ${error.message}`);
+    }
+    const imageDetail = (describeResponse.imageDetails || [])[0];
+    if (!imageDetail || !imageDetail.imageDigest) {
+      throw new Error(`Unable to resolve the image ${container.image} of container ${container.name}: the image does not exist`);
+    }
+
+    const resolvedImage = `${registry}/${repositoryName}@${imageDetail.imageDigest}`;
+    core.info(`Resolved the image of container ${container.name} from ${container.image} to ${resolvedImage}`);
+    container.dockerLabels = Object.assign({}, container.dockerLabels, { [ORIGINAL_IMAGE_LABEL]: container.image });
+    container.image = resolvedImage;
+  }
+  return taskDef;
+}
+
+// Add resource tags to the task definition, replacing the tags of the task definition file with the same key
+function addTaskDefinitionTags(taskDef, tags) {
+  const tagKeys = Object.keys(tags);
+  if (tagKeys.length > 0) {
+    taskDef.tags = (taskDef.tags || [])
+      .filter(tag => !tagKeys.includes(tag.key))
+      .concat(tagKeys.map(key => ({ key: key, value: tags[key] })));
+  }
+  return taskDef;
+}
+
+function getGitHubMetadata() {
+  const metadata = {};
+  for (var [key, variableName] of Object.entries(GITHUB_METADATA_ENVIRONMENT_VARIABLES)) {
+    if (process.env[variableName]) {
+      metadata[key] = process.env[variableName];
+    }
+  }
+  return metadata;
+}
+
+// Record the GitHub workflow run that deployed the task definition in its tags, or in the docker labels of its containers
+function addGitHubMetadata(taskDef, addTags, addDockerLabels) {
+  const metadata = getGitHubMetadata();
+  if (addTags) {
+    addTaskDefinitionTags(taskDef, metadata);
+  }
+  if (addDockerLabels) {
+    for (var container of taskDef.containerDefinitions || []) {
+      container.dockerLabels = Object.assign({}, container.dockerLabels, metadata);
+    }
+  }
+  return taskDef;
+}
+
+// Sort object keys so that two objects with the same content always serialize to the same string
+function sortedKeysReplacer(_, value) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    return Object.keys(value).sort().reduce((sorted, key) => {
+      sorted[key] = value[key];
+      return sorted;
+    }, {});
+  }
+
+  return value;
 }
 
-function isEmptyValue(value) {
-  if (value === null || value === undefined || value === '') {
-    return true;
+function sortByProperty(values, propertyName) {
+  return values.slice().sort((a, b) => String(a[propertyName]).localeCompare(String(b[propertyName])));
+}
+
+// Normalize a task definition so that a task definition file and a registered revision can be compared
+function normalizeTaskDefinition(taskDef) {
+  const normalized = cleanNullKeys(taskDef);
+  for (var attribute of IGNORED_TASK_DEFINITION_ATTRIBUTES) {
+    delete normalized[attribute];
   }
 
-  if (Array.isArray(value)) {
-    for (var element of value) {
-      if (!isEmptyValue(element)) {
-        // the array has at least one non-empty element
-        return false;
+  // ECS returns the task size as a string of CPU units and MiB, whatever form it was registered with
+  if (normalized.cpu !== undefined) {
+    const cpu = parseTaskSize(normalized.cpu, 'vcpu');
+    normalized.cpu = String(isNaN(cpu) ? normalized.cpu : cpu);
+  }
+  if (normalized.memory !== undefined) {
+    const memory = parseTaskSize(normalized.memory, 'gb');
+    normalized.memory = String(isNaN(memory) ? normalized.memory : memory);
+  }
+
+  // Fill in the values ECS assumes when they are omitted from the task definition
+  if (!normalized.networkMode) {
+    normalized.networkMode = 'bridge';
+  }
+  for (var container of normalized.containerDefinitions || []) {
+    if (container.cpu === undefined) {
+      container.cpu = 0;
+    }
+    if (container.essential === undefined) {
+      container.essential = true;
+    }
+    for (var portMapping of container.portMappings || []) {
+      if (!portMapping.protocol) {
+        portMapping.protocol = 'tcp';
+      }
+      // The host port is the container port in awsvpc and host mode, and a dynamic port (0) in bridge mode
+      if (portMapping.hostPort === undefined && portMapping.containerPort !== undefined) {
+        portMapping.hostPort = normalized.networkMode === 'bridge' ? 0 : portMapping.containerPort;
       }
     }
-    // the array has no non-empty elements
-    return true;
+    // The order of environment variables and secrets is not significant
+    if (container.environment) {
+      container.environment = sortByProperty(container.environment, 'name');
+    }
+    if (container.secrets) {
+      container.secrets = sortByProperty(container.secrets, 'name');
+    }
+  }
+  if (normalized.tags) {
+    normalized.tags = sortByProperty(normalized.tags, 'key');
   }
 
-  if (typeof value === 'object') {
-    for (var childValue of Object.values(value)) {
-      if (!isEmptyValue(childValue)) {
-        // the object has at least one non-empty property
-        return false;
+  // The GitHub workflow run metadata is different for every deployment
+  const metadataKeys = Object.keys(GITHUB_METADATA_ENVIRONMENT_VARIABLES);
+  if (normalized.tags) {
+    normalized.tags = normalized.tags.filter(tag => !metadataKeys.includes(tag.key));
+  }
+  for (var labeledContainer of normalized.containerDefinitions || []) {
+    for (var metadataKey of metadataKeys) {
+      if (labeledContainer.dockerLabels) {
+        delete labeledContainer.dockerLabels[metadataKey];
       }
     }
-    // the object has no non-empty property
-    return true;
   }
 
-  return false;
+  return JSON.stringify(cleanNullKeys(normalized), sortedKeysReplacer);
 }
 
-function emptyValueReplacer(_, value) {
-  if (isEmptyValue(value)) {
+// Find the task definitions currently used by the services, or the latest revision of the family if there are no services
+async function findDeployedTaskDefinitionArns(ecs, taskDefContents, targets) {
+  if (targets.length === 0) {
+    return taskDefContents.family ? [taskDefContents.family] : [];
+  }
+
+  const deployedArns = [];
+  for (var target of targets) {
+    const describeResponse = await ecs.describeServices({
+      services: [target.service],
+      cluster: target.cluster
+    });
+    const serviceResponse = describeResponse.services && describeResponse.services[0];
+    if (!serviceResponse || !serviceResponse.taskDefinition) {
+      // The deployment will report why the service cannot be used
+      return [];
+    }
+    deployedArns.push(serviceResponse.taskDefinition);
+  }
+  return deployedArns;
+}
+
+// Return the ARN of the deployed task definition if it is equivalent to the task definition file
+async function findUnchangedTaskDefinition(ecs, taskDefContents, targets) {
+  const deployedArns = await findDeployedTaskDefinitionArns(ecs, taskDefContents, targets);
+  if (deployedArns.length === 0) {
     return undefined;
   }
 
-  if (Array.isArray(value)) {
-    return value.filter(e => !isEmptyValue(e));
+  const expected = normalizeTaskDefinition(taskDefContents);
+  let deployedTaskDefArn;
+  for (var deployedArn of deployedArns) {
+    let describeResponse;
+    try {
+      describeResponse = await ecs.describeTaskDefinition({
+        taskDefinition: deployedArn,
+        include: ['TAGS']
+      });
+    } catch (error) {
+      core.debug(`Unable to describe task definition ${deployedArn}: ${error.message}`);
+      return undefined;
+    }
+
+    const deployed = Object.assign({}, describeResponse.taskDefinition, { tags: describeResponse.tags });
+    if (normalizeTaskDefinition(deployed) !== expected) {
+      core.debug(`Task definition ${describeResponse.taskDefinition.taskDefinitionArn} differs from the task definition file`);
+      return undefined;
+    }
+    deployedTaskDefArn = deployedTaskDefArn || describeResponse.taskDefinition.taskDefinitionArn;
   }
 
-  return value;
+  return deployedTaskDefArn;
 }
 
-function cleanNullKeys(obj) {
-  return JSON.parse(JSON.stringify(obj, emptyValueReplacer));
+function formatDiffValue(value) {
+  return value === undefined ? '(none)' : JSON.stringify(value);
 }
 
-function removeIgnoredAttributes(taskDef) {
-  for (var attribute of IGNORED_TASK_DEFINITION_ATTRIBUTES) {
-    if (taskDef[attribute]) {
-      core.warning(`Ignoring property '${attribute}' in the task definition file. ` +
-        'This property is returned by the Amazon ECS DescribeTaskDefinition API and may be shown in the ECS console, ' +
-        'but it is not a valid field when registering a new task definition. ' +
-        'This field can be safely removed from your task definition file.');
-      delete taskDef[attribute];
+function diffAttributes(deployed, proposed, attributes) {
+  const lines = [];
+  for (var attribute of attributes) {
+    if (formatDiffValue(deployed[attribute]) !== formatDiffValue(proposed[attribute])) {
+      lines.push(`${attribute}: ${formatDiffValue(deployed[attribute])} -> ${formatDiffValue(proposed[attribute])}`);
     }
   }
+  return lines;
+}
 
-  return taskDef;
+// Compare lists of name/value pairs, only printing the values when showValues is set
+function diffNamedValues(label, deployedValues, proposedValues, valueKey, showValues) {
+  const lines = [];
+  const deployedByName = new Map((deployedValues || []).map(entry => [entry.name, entry[valueKey]]));
+  const proposedByName = new Map((proposedValues || []).map(entry => [entry.name, entry[valueKey]]));
+
+  for (var [name, value] of proposedByName) {
+    if (!deployedByName.has(name)) {
+      lines.push(showValues ? `${label} ${name}: added ${formatDiffValue(value)}` : `${label} ${name}: added`);
+    } else if (deployedByName.get(name) !== value) {
+      lines.push(showValues ?
+        `${label} ${name}: ${formatDiffValue(deployedByName.get(name))} -> ${formatDiffValue(value)}` :
+        `${label} ${name}: changed`);
+    }
+  }
+  for (var deployedName of deployedByName.keys()) {
+    if (!proposedByName.has(deployedName)) {
+      lines.push(`${label} ${deployedName}: removed`);
+    }
+  }
+  return lines;
 }
 
-function maintainValidObjects(taskDef) {
-    if (validateProxyConfigurations(taskDef)) {
-        taskDef.proxyConfiguration.properties.forEach((property, index, arr) => {
-            if (!('value' in property)) {
-                arr[index].value = '';
-            }
-            if (!('name' in property)) {
-                arr[index].name = '';
-            }
-        });
+// List the differences between a registered task definition and a task definition file as human-readable lines
+function diffTaskDefinitions(deployedTaskDef, proposedTaskDef) {
+  const deployed = JSON.parse(normalizeTaskDefinition(deployedTaskDef));
+  const proposed = JSON.parse(normalizeTaskDefinition(proposedTaskDef));
+  const lines = diffAttributes(deployed, proposed, ['family'].concat(DIFFED_TASK_DEFINITION_ATTRIBUTES));
+
+  const deployedContainers = deployed.containerDefinitions || [];
+  const proposedContainers = proposed.containerDefinitions || [];
+  for (var container of proposedContainers) {
+    const matchingContainer = deployedContainers.find(c => c.name === container.name);
+    if (!matchingContainer) {
+      lines.push(`container ${container.name}: added with image ${formatDiffValue(container.image)}`);
+      continue;
     }
 
-    if(taskDef && taskDef.containerDefinitions){
-      taskDef.containerDefinitions.forEach((container) => {
-        if(container.environment){
-          container.environment.forEach((property, index, arr) => {
-            if (!('value' in property)) {
-              arr[index].value = '';
-            }
-          });
-        }
-      });
+    const containerLines = diffAttributes(matchingContainer, container, DIFFED_CONTAINER_ATTRIBUTES)
+      .concat(diffNamedValues('environment', matchingContainer.environment, container.environment, 'value', true))
+      .concat(diffNamedValues('secret', matchingContainer.secrets, container.secrets, 'valueFrom', false));
+    if (containerLines.length > 0) {
+      lines.push(`container ${container.name}:`);
+      lines.push(...containerLines.map(line => `  ${line}`));
     }
-    return taskDef;
+  }
+  for (var deployedContainer of deployedContainers) {
+    if (!proposedContainers.some(c => c.name === deployedContainer.name)) {
+      lines.push(`container ${deployedContainer.name}: removed`);
+    }
+  }
+
+  if (lines.length === 0 && JSON.stringify(deployed) !== JSON.stringify(proposed)) {
+    lines.push('other task definition attributes changed');
+  }
+  return lines;
 }
 
-function validateProxyConfigurations(taskDef){
-  return 'proxyConfiguration' in taskDef && taskDef.proxyConfiguration.type && taskDef.proxyConfiguration.type == 'APPMESH' && taskDef.proxyConfiguration.properties && taskDef.proxyConfiguration.properties.length > 0;
+// Describe the changes a deployment would make, without registering the task definition or updating any service
+async function planDeployment(ecs, taskDefContents, targets) {
+  const deployedTaskDefs = new Map();
+  const describeDeployedTaskDef = async (taskDefinition) => {
+    if (!deployedTaskDefs.has(taskDefinition)) {
+      const describeResponse = await ecs.describeTaskDefinition({ taskDefinition: taskDefinition });
+      deployedTaskDefs.set(taskDefinition, describeResponse.taskDefinition);
+    }
+    return deployedTaskDefs.get(taskDefinition);
+  };
+
+  const sections = [];
+  const addDiffSection = async (header, taskDefinition) => {
+    const deployedTaskDef = await describeDeployedTaskDef(taskDefinition);
+    const lines = diffTaskDefinitions(deployedTaskDef, taskDefContents);
+    const diff = lines.length > 0 ? lines.map(line => `  ${line}`) : ['  no changes'];
+    sections.push([header, `Changes compared to ${deployedTaskDef.taskDefinitionArn}:`].concat(diff).join('\n'));
+  };
+
+  if (targets.length === 0) {
+    try {
+      await addDiffSection(`Task definition family ${taskDefContents.family}`, taskDefContents.family);
+    } catch (error) {
+      core.debug(`Unable to describe task definition family ${taskDefContents.family}: ${error.message}`);
+      sections.push(`Task definition family ${taskDefContents.family}\nNo registered revision found, a new task definition family would be created`);
+    }
+  }
+
+  for (var target of targets) {
+    const header = `Service ${target.service} in cluster ${target.cluster}`;
+    const describeResponse = await ecs.describeServices({
+      services: [target.service],
+      cluster: target.cluster
+    });
+    if (describeResponse.failures && describeResponse.failures.length > 0) {
+      const failure = describeResponse.failures[0];
+      sections.push(`${header}\nService cannot be deployed to: ${failure.arn} is ${failure.reason}`);
+      continue;
+    }
+
+    const serviceResponse = describeResponse.services[0];
+    const deploymentController = serviceResponse.deploymentController && serviceResponse.deploymentController.type ?
+      serviceResponse.deploymentController.type :
+      'ECS';
+    const launchType = serviceResponse.launchType ? serviceResponse.launchType : 'capacity provider strategy';
+    await addDiffSection(
+      `${header} (status: ${serviceResponse.status}, deployment controller: ${deploymentController}, ` +
+      `launch type: ${launchType}, desired count: ${serviceResponse.desiredCount}, running count: ${serviceResponse.runningCount})`,
+      serviceResponse.taskDefinition);
+  }
+
+  const plan = sections.join('\n\n');
+  core.info(plan);
+  core.setOutput('task-definition-diff', plan);
+  return plan;
 }
 
 // Deploy to a service that uses the 'CODE_DEPLOY' deployment controller
-async function createCodeDeployDeployment(codedeploy, clusterName, service, taskDefArn, waitForService, waitForMinutes) {
+async function createCodeDeployDeployment(codedeploy, target, taskDefArn, deployOptions) {
   core.debug('Updating AppSpec file with new task definition ARN');
 
-  let codeDeployAppSpecFile = core.getInput('codedeploy-appspec', { required : false });
+  const clusterName = target.cluster;
+  const service = target.service;
+
+  // Settings given on the deployment target take precedence over the action inputs
+  let codeDeployAppSpecFile = target.codeDeployAppSpec || core.getInput('codedeploy-appspec', { required : false });
   codeDeployAppSpecFile = codeDeployAppSpecFile ? codeDeployAppSpecFile : 'appspec.yaml';
 
-  let codeDeployApp = core.getInput('codedeploy-application', { required: false });
+  let codeDeployApp = target.codeDeployApplication || core.getInput('codedeploy-application', { required: false });
   codeDeployApp = codeDeployApp ? codeDeployApp : `AppECS-${clusterName}-${service}`;
 
-  let codeDeployGroup = core.getInput('codedeploy-deployment-group', { required: false });
+  let codeDeployGroup = target.codeDeployDeploymentGroup || core.getInput('codedeploy-deployment-group', { required: false });
   codeDeployGroup = codeDeployGroup ? codeDeployGroup : `DgpECS-${clusterName}-${service}`;
 
   let codeDeployDescription = core.getInput('codedeploy-deployment-description', { required: false });
@@ -196,7 +1901,10 @@ async function createCodeDeployDeployment(codedeploy, clusterName, service, task
     codeDeployAppSpecFile :
     path.join(process.env.GITHUB_WORKSPACE, codeDeployAppSpecFile);
   const fileContents = fs.readFileSync(appSpecPath, 'utf8');
-  const appSpecContents = yaml.parse(fileContents);
+  let appSpecContents = yaml.parse(fileContents);
+  if (deployOptions.templateVariables) {
+    appSpecContents = renderTemplate(appSpecContents, deployOptions.templateVariables, 'AppSpec file');
+  }
 
   for (var resource of findAppSpecValue(appSpecContents, 'resources')) {
     for (var name in resource) {
@@ -237,11 +1945,11 @@ async function createCodeDeployDeployment(codedeploy, clusterName, service, task
   core.info(`Deployment started. Watch this deployment's progress in the AWS CodeDeploy console: https://console.aws.amazon.com/codesuite/codedeploy/deployments/${createDeployResponse.deploymentId}?region=${region}`);
 
   // Wait for deployment to complete
-  if (waitForService && waitForService.toLowerCase() === 'true') {
+  if (deployOptions.waitForService && deployOptions.waitForService.toLowerCase() === 'true') {
     // Determine wait time
     const deployReadyWaitMin = deploymentGroupDetails.blueGreenDeploymentConfiguration.deploymentReadyOption.waitTimeInMinutes;
     const terminationWaitMin = deploymentGroupDetails.blueGreenDeploymentConfiguration.terminateBlueInstancesOnDeploymentSuccess.terminationWaitTimeInMinutes;
-    let totalWaitMin = deployReadyWaitMin + terminationWaitMin + waitForMinutes;
+    let totalWaitMin = deployReadyWaitMin + terminationWaitMin + deployOptions.waitForMinutes;
     if (totalWaitMin > MAX_WAIT_MINUTES) {
       totalWaitMin = MAX_WAIT_MINUTES;
     }
@@ -256,19 +1964,213 @@ async function createCodeDeployDeployment(codedeploy, clusterName, service, task
   } else {
     core.debug('Not waiting for the deployment to complete');
   }
+
+  return createDeployResponse.deploymentId;
+}
+
+// Build the list of services to deploy to, either from the 'deployment-targets' input or from the single 'service' input
+function parseDeploymentTargets(targetsInput, service, cluster) {
+  const defaultCluster = cluster ? cluster : 'default';
+
+  if (!targetsInput) {
+    return service ? [{ service: service, cluster: defaultCluster }] : [];
+  }
+
+  if (service) {
+    throw new Error("Only one of 'service' and 'deployment-targets' can be specified");
+  }
+
+  const targets = yaml.parse(targetsInput);
+  if (!Array.isArray(targets) || targets.length === 0) {
+    throw new Error("'deployment-targets' must be a non-empty list of services");
+  }
+
+  return targets.map((target, index) => {
+    if (!target || typeof target !== 'object' || !target.service) {
+      throw new Error(`Deployment target at index ${index} must include property 'service'`);
+    }
+
+    return {
+      service: target.service,
+      cluster: target.cluster ? target.cluster : defaultCluster,
+      codeDeployAppSpec: target['codedeploy-appspec'],
+      codeDeployApplication: target['codedeploy-application'],
+      codeDeployDeploymentGroup: target['codedeploy-deployment-group']
+    };
+  });
+}
+
+// Deploy the registered task definition to a single service, using the service's deployment controller
+async function deployToTarget(ecs, codedeploy, target, taskDefArn, deployOptions) {
+  const clusterName = target.cluster;
+  const service = target.service;
+
+  // Determine the deployment controller
+  const describeResponse = await ecs.describeServices({
+    services: [service],
+    cluster: clusterName
+  });
+
+  if (describeResponse.failures && describeResponse.failures.length > 0) {
+    const failure = describeResponse.failures[0];
+    if (failure.reason === 'MISSING' && deployOptions.serviceDefinition) {
+      await createEcsService(ecs, clusterName, service, taskDefArn, deployOptions);
+      const deploymentController = deployOptions.serviceDefinition.deploymentController;
+      return {
+        service: service,
+        cluster: clusterName,
+        deploymentController: (deploymentController && deploymentController.type) || 'ECS',
+        serviceCreated: true,
+        status: 'SUCCEEDED'
+      };
+    }
+    throw new Error(`${failure.arn} is ${failure.reason}`);
+  }
+
+  const serviceResponse = describeResponse.services[0];
+  if (serviceResponse.status != 'ACTIVE') {
+    throw new Error(`Service is ${serviceResponse.status}`);
+  }
+
+  const result = { service: service, cluster: clusterName, previousTaskDefinitionArn: serviceResponse.taskDefinition };
+
+  if (!serviceResponse.deploymentController || !serviceResponse.deploymentController.type || serviceResponse.deploymentController.type === 'ECS') {
+    // Service uses the 'ECS' deployment controller, so we can call UpdateService
+    result.deploymentController = 'ECS';
+    await updateEcsService(ecs, clusterName, service, taskDefArn, deployOptions, serviceResponse);
+  } else if (serviceResponse.deploymentController.type === 'CODE_DEPLOY') {
+    // Service uses CodeDeploy, so we should start a CodeDeploy deployment
+    result.deploymentController = 'CODE_DEPLOY';
+    result.codeDeployDeploymentId = await createCodeDeployDeployment(codedeploy, target, taskDefArn, deployOptions);
+  } else if (serviceResponse.deploymentController.type === 'EXTERNAL' && deployOptions.deployTaskSets) {
+    // Service uses an external controller, so we should shift it to a new task set
+    result.deploymentController = 'EXTERNAL';
+    result.taskSetArn = await deployExternalTaskSet(ecs, clusterName, service, serviceResponse, taskDefArn, deployOptions);
+  } else {
+    throw new Error(`Unsupported deployment controller: ${serviceResponse.deploymentController.type}`);
+  }
+
+  result.status = 'SUCCEEDED';
+  return result;
+}
+
+// Deploy to every target concurrently, and report the outcome for each of them
+async function deployToTargets(ecs, codedeploy, targets, taskDefArn, deployOptions, report) {
+  const outcomes = await Promise.allSettled(targets.map(target => deployToTarget(ecs, codedeploy, target, taskDefArn, deployOptions)));
+
+  const results = outcomes.map((outcome, index) => {
+    if (outcome.status === 'fulfilled') {
+      return outcome.value;
+    }
+    const result = {
+      service: targets[index].service,
+      cluster: targets[index].cluster,
+      status: 'FAILED',
+      error: outcome.reason.message
+    };
+    if (outcome.reason.rolledBackTaskDefinitionArn) {
+      result.rolledBackTaskDefinitionArn = outcome.reason.rolledBackTaskDefinitionArn;
+    }
+    if (outcome.reason.stoppedTasks) {
+      result.stoppedTasks = outcome.reason.stoppedTasks;
+    }
+    return result;
+  });
+  core.setOutput('deployment-results', JSON.stringify(results));
+  report.results = results;
+
+  const failedResults = results.filter(result => result.status === 'FAILED');
+  if (failedResults.length > 0) {
+    // Keep the original error when deploying to a single service
+    if (targets.length === 1) {
+      throw outcomes[0].reason;
+    }
+
+    for (var failedResult of failedResults) {
+      core.error(`Deployment to service ${failedResult.service} in cluster ${failedResult.cluster} failed: ${failedResult.error}`);
+    }
+    const failedNames = failedResults.map(result => `${result.cluster}/${result.service}`).join(', ');
+    throw new Error(`Deployment failed for ${failedResults.length} of ${targets.length} services: ${failedNames}`);
+  }
+
+  return results;
+}
+
+function formatElapsedTime(elapsedMs) {
+  const totalSeconds = Math.round(elapsedMs / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  return minutes > 0 ? `${minutes}m ${totalSeconds % 60}s` : `${totalSeconds}s`;
+}
+
+// Link to the deployment in the console of the partition of the region
+function getDeploymentConsoleLink(region, result) {
+  const consoleHostname = getConsoleHostname(region);
+  if (result.codeDeployDeploymentId) {
+    return `<a href="https://${consoleHostname}/codesuite/codedeploy/deployments/${result.codeDeployDeploymentId}?region=${region}">AWS CodeDeploy console</a>`;
+  }
+  return `<a href="https://${region}.${consoleHostname}/ecs/v2/clusters/${result.cluster}/services/${result.service}/events?region=${region}">Amazon ECS console</a>`;
+}
+
+// Write a GitHub job summary of the deployment, whether it succeeded or not
+async function writeJobSummary(ecs, report) {
+  try {
+    const region = await ecs.config.region();
+
+    core.summary
+      .addHeading('Amazon ECS deployment', 2)
+      .addTable([
+        [{ data: 'Status', header: true }, report.status],
+        [{ data: 'Task definition', header: true }, report.taskDefinitionArn || 'Not registered'],
+        [{ data: 'Elapsed time', header: true }, formatElapsedTime(Date.now() - report.startedAt)]
+      ]);
+    if (report.error) {
+      core.summary.addRaw('Error: ').addCodeBlock(report.error);
+    }
+
+    if (report.results.length > 0) {
+      core.summary.addHeading('Services', 3).addTable([
+        ['Cluster', 'Service', 'Deployment controller', 'Previous task definition', 'Status', 'Console'].map(header => ({ data: header, header: true }))
+      ].concat(report.results.map(result => [
+        result.cluster,
+        result.service,
+        result.deploymentController || '-',
+        result.previousTaskDefinitionArn || '-',
+        result.error ? `${result.status}: ${result.error}` : result.status,
+        getDeploymentConsoleLink(region, result)
+      ])));
+    }
+
+    if (report.containers.length > 0) {
+      core.summary.addHeading('Containers', 3).addTable([
+        [{ data: 'Container', header: true }, { data: 'Image', header: true }]
+      ].concat(report.containers.map(container => [container.name, container.image || '-'])));
+    }
+
+    await core.summary.write();
+  } catch (error) {
+    core.debug(`Unable to write the job summary: ${error.message}`);
+  }
 }
 
 async function run() {
+  const ecs = new ECS({
+    customUserAgent: 'amazon-ecs-deploy-task-definition-for-github-actions'
+  });
+  const codedeploy = new CodeDeploy({
+    customUserAgent: 'amazon-ecs-deploy-task-definition-for-github-actions'
+  });
+  const report = {
+    startedAt: Date.now(),
+    status: 'FAILED',
+    results: [],
+    containers: []
+  };
+
   try {
-    const ecs = new ECS({
-      customUserAgent: 'amazon-ecs-deploy-task-definition-for-github-actions'
-    });
-    const codedeploy = new CodeDeploy({
-      customUserAgent: 'amazon-ecs-deploy-task-definition-for-github-actions'
-    });
 
     // Get inputs
     const taskDefinitionFile = core.getInput('task-definition', { required: true });
+    const taskDefLogicalId = core.getInput('task-definition-logical-id', { required: false });
     const service = core.getInput('service', { required: false });
     const cluster = core.getInput('cluster', { required: false });
     const waitForService = core.getInput('wait-for-service-stability', { required: false });
@@ -280,64 +2182,345 @@ async function run() {
     const forceNewDeployInput = core.getInput('force-new-deployment', { required: false }) || 'false';
     const forceNewDeployment = forceNewDeployInput.toLowerCase() === 'true';
     const desiredCount = parseInt((core.getInput('desired-count', {required: false})));
+    const targets = parseDeploymentTargets(core.getInput('deployment-targets', { required: false }), service, cluster);
+
+    const rollbackOnFailureInput = core.getInput('rollback-on-failure', { required: false }) || 'false';
+    const rollbackOnFailure = rollbackOnFailureInput.toLowerCase() === 'true';
+    const waitForRollbackInput = core.getInput('wait-for-rollback-stability', { required: false }) || 'false';
+    const waitForRollback = waitForRollbackInput.toLowerCase() === 'true';
+    if (rollbackOnFailure && !(waitForService && waitForService.toLowerCase() === 'true')) {
+      throw new Error("'rollback-on-failure' requires 'wait-for-service-stability' to be enabled");
+    }
+
+    const skipIfUnchangedInput = core.getInput('skip-if-unchanged', { required: false }) || 'false';
+    const skipIfUnchanged = skipIfUnchangedInput.toLowerCase() === 'true';
+
+    const dryRunInput = core.getInput('dry-run', { required: false }) || 'false';
+    const dryRun = dryRunInput.toLowerCase() === 'true';
+
+    // Workflow environment variables can be used in templates, and are overridden by the 'template-variables' input
+    const renderTemplatesInput = core.getInput('render-templates', { required: false }) || 'false';
+    const templateVariables = renderTemplatesInput.toLowerCase() === 'true' ?
+      Object.assign({}, process.env, parseKeyValueLines(core.getInput('template-variables', { required: false }), 'template variable', 'KEY=value')) :
+      undefined;
+
+    const containerImages = parseKeyValueLines(core.getInput('container-images', { required: false }), 'container image', 'container-name=image');
+
+    const environmentFiles = parseKeyValueLines(core.getInput('environment-files', { required: false }), 'environment file', 'container-name=file');
+    const secretsFiles = parseKeyValueLines(core.getInput('secrets-files', { required: false }), 'secrets file', 'container-name=file');
+    const environmentFilesPolicy = core.getInput('environment-files-override-policy', { required: false }) || 'override';
+    if (!ENVIRONMENT_FILE_OVERRIDE_POLICIES.includes(environmentFilesPolicy)) {
+      throw new Error(`'environment-files-override-policy' must be one of: ${ENVIRONMENT_FILE_OVERRIDE_POLICIES.join(', ')}`);
+    }
+
+    const runTaskInput = core.getInput('run-task', { required: false }) || 'false';
+    const runTask = runTaskInput.toLowerCase() === 'true';
+    const runTaskContainerOverridesInput = core.getInput('run-task-container-overrides', { required: false });
+    const runTaskContainerOverrides = runTaskContainerOverridesInput ? yaml.parse(runTaskContainerOverridesInput) : undefined;
+    if (runTaskContainerOverrides && !Array.isArray(runTaskContainerOverrides)) {
+      throw new Error("'run-task-container-overrides' must be a list of container overrides");
+    }
+    if (runTask && targets.length === 0) {
+      throw new Error("'run-task' requires a service to copy the network configuration from");
+    }
+
+    const retainRevisionsInput = core.getInput('retain-task-definition-revisions', { required: false });
+    const retainRevisions = retainRevisionsInput ? parseInt(retainRevisionsInput) : undefined;
+    if (retainRevisionsInput && !(retainRevisions > 0)) {
+      throw new Error("'retain-task-definition-revisions' must be a positive number");
+    }
+    const deleteInactiveInput = core.getInput('delete-inactive-task-definitions', { required: false }) || 'false';
+    const deleteInactive = deleteInactiveInput.toLowerCase() === 'true';
+
+    const resolveDigestsInput = core.getInput('resolve-image-digests', { required: false }) || 'false';
+    const resolveDigests = resolveDigestsInput.toLowerCase() === 'true';
+
+    const tags = parseKeyValueLines(core.getInput('tags', { required: false }), 'tag', 'key=value');
+    const tagWithMetadataInput = core.getInput('tag-with-github-metadata', { required: false }) || 'false';
+    const tagWithMetadata = tagWithMetadataInput.toLowerCase() === 'true';
+    const labelWithMetadataInput = core.getInput('label-containers-with-github-metadata', { required: false }) || 'false';
+    const labelWithMetadata = labelWithMetadataInput.toLowerCase() === 'true';
+
+    const waitStrategy = core.getInput('wait-strategy', { required: false }) || 'services-stable';
+    if (!WAIT_STRATEGIES.includes(waitStrategy)) {
+      throw new Error(`'wait-strategy' must be one of: ${WAIT_STRATEGIES.join(', ')}`);
+    }
+
+    const showServiceEventsInput = core.getInput('show-service-events', { required: false }) || 'true';
+    const showServiceEvents = showServiceEventsInput.toLowerCase() === 'true';
+
+    const deploymentConfiguration = {};
+    const deploymentStrategy = core.getInput('deployment-strategy', { required: false });
+    if (deploymentStrategy) {
+      if (!DEPLOYMENT_STRATEGIES.includes(deploymentStrategy)) {
+        throw new Error(`'deployment-strategy' must be one of: ${DEPLOYMENT_STRATEGIES.join(', ')}`);
+      }
+      deploymentConfiguration.strategy = deploymentStrategy;
+    }
+    const bakeTimeInMinutes = parseNumberInput('bake-time-in-minutes', 0, 1440);
+    if (bakeTimeInMinutes !== undefined) {
+      deploymentConfiguration.bakeTimeInMinutes = bakeTimeInMinutes;
+    }
+    const trafficShiftPercent = parseNumberInput('traffic-shift-percent', 0.1, 100);
+    const trafficShiftBakeTime = parseNumberInput('traffic-shift-bake-time-in-minutes', 0, 1440);
+    if (trafficShiftPercent !== undefined || trafficShiftBakeTime !== undefined) {
+      if (deploymentStrategy === 'LINEAR') {
+        deploymentConfiguration.linearConfiguration = { stepPercent: trafficShiftPercent, stepBakeTimeInMinutes: trafficShiftBakeTime };
+      } else if (deploymentStrategy === 'CANARY') {
+        deploymentConfiguration.canaryConfiguration = { canaryPercent: trafficShiftPercent, canaryBakeTimeInMinutes: trafficShiftBakeTime };
+      } else {
+        throw new Error("'traffic-shift-percent' and 'traffic-shift-bake-time-in-minutes' require a LINEAR or CANARY 'deployment-strategy'");
+      }
+    }
+    const lifecycleHooksInput = core.getInput('deployment-lifecycle-hooks', { required: false });
+    if (lifecycleHooksInput) {
+      const lifecycleHooks = yaml.parse(lifecycleHooksInput);
+      if (!Array.isArray(lifecycleHooks)) {
+        throw new Error("'deployment-lifecycle-hooks' must be a JSON or YAML list of lifecycle hooks");
+      }
+      deploymentConfiguration.lifecycleHooks = lifecycleHooks;
+    }
+
+    const minimumHealthyPercent = parseNumberInput('minimum-healthy-percent', 0, 100);
+    if (minimumHealthyPercent !== undefined) {
+      deploymentConfiguration.minimumHealthyPercent = minimumHealthyPercent;
+    }
+    const maximumPercent = parseNumberInput('maximum-percent', 0);
+    if (maximumPercent !== undefined) {
+      deploymentConfiguration.maximumPercent = maximumPercent;
+    }
+    if (minimumHealthyPercent !== undefined && maximumPercent !== undefined && maximumPercent <= minimumHealthyPercent) {
+      throw new Error("'maximum-percent' must be greater than 'minimum-healthy-percent' for ECS to be able to replace tasks");
+    }
+
+    const circuitBreakerEnable = parseOptionalBooleanInput('deployment-circuit-breaker-enable');
+    const circuitBreakerRollback = parseOptionalBooleanInput('deployment-circuit-breaker-rollback');
+    if (circuitBreakerRollback && !circuitBreakerEnable) {
+      throw new Error("'deployment-circuit-breaker-rollback' requires 'deployment-circuit-breaker-enable'");
+    }
+    if (circuitBreakerEnable !== undefined) {
+      deploymentConfiguration.deploymentCircuitBreaker = { enable: circuitBreakerEnable, rollback: circuitBreakerRollback || false };
+    }
+
+    const alarmNames = (core.getInput('deployment-alarms', { required: false }) || '')
+      .split(/[\n,]/)
+      .map(alarmName => alarmName.trim())
+      .filter(alarmName => alarmName);
+    const alarmsEnable = parseOptionalBooleanInput('deployment-alarms-enable');
+    const alarmsRollback = parseOptionalBooleanInput('deployment-alarms-rollback');
+    if (alarmNames.length > 0) {
+      if (alarmsRollback && alarmsEnable === false) {
+        throw new Error("'deployment-alarms-rollback' requires 'deployment-alarms-enable'");
+      }
+      deploymentConfiguration.alarms = {
+        alarmNames: alarmNames,
+        enable: alarmsEnable !== false,
+        rollback: alarmsRollback || false
+      };
+    } else if (alarmsEnable !== undefined || alarmsRollback !== undefined) {
+      throw new Error("'deployment-alarms-enable' and 'deployment-alarms-rollback' require 'deployment-alarms'");
+    }
+
+    const serviceOverrides = {};
+    const capacityProviderStrategy = parseJsonOrYamlInput('capacity-provider-strategy');
+    if (capacityProviderStrategy !== undefined) {
+      if (!Array.isArray(capacityProviderStrategy)) {
+        throw new Error("'capacity-provider-strategy' must be a JSON or YAML list of capacity providers");
+      }
+      serviceOverrides.capacityProviderStrategy = capacityProviderStrategy;
+    }
+    const networkConfiguration = parseJsonOrYamlInput('network-configuration');
+    if (networkConfiguration !== undefined) {
+      if (!networkConfiguration || typeof networkConfiguration !== 'object' || Array.isArray(networkConfiguration)) {
+        throw new Error("'network-configuration' must be a JSON or YAML object");
+      }
+      // Accept the awsvpcConfiguration on its own, as it is the only network configuration
+      serviceOverrides.networkConfiguration = networkConfiguration.awsvpcConfiguration ?
+        networkConfiguration :
+        { awsvpcConfiguration: networkConfiguration };
+    }
+    const platformVersion = core.getInput('platform-version', { required: false });
+    if (platformVersion) {
+      serviceOverrides.platformVersion = platformVersion;
+    }
+
+    const validateTaskDefInput = core.getInput('validate-task-definition', { required: false }) || 'false';
+    const validateTaskDef = validateTaskDefInput.toLowerCase() === 'true';
+    const lintInput = core.getInput('lint-task-definition', { required: false }) || 'false';
+    const lintSeverities = lintInput.toLowerCase() === 'true' ?
+      parseLintSeverities(core.getInput('lint-rules', { required: false })) :
+      undefined;
+
+    const serviceDefinitionFile = core.getInput('service-definition', { required: false });
+
+    const deployTaskSetsInput = core.getInput('deploy-task-sets', { required: false }) || 'false';
+    const deployTaskSets = deployTaskSetsInput.toLowerCase() === 'true';
+    const deletePreviousTaskSetsInput = core.getInput('delete-previous-task-sets', { required: false }) || 'false';
+    const deletePreviousTaskSets = deletePreviousTaskSetsInput.toLowerCase() === 'true';
+
+    const containerLogLinesInput = core.getInput('container-log-lines', { required: false }) || '50';
+    const containerLogLines = parseInt(containerLogLinesInput);
+    if (!(containerLogLines >= 0)) {
+      throw new Error("'container-log-lines' must be a number greater than or equal to 0");
+    }
 
 
     // Register the task definition
     core.debug('Registering the task definition');
-    const taskDefPath = path.isAbsolute(taskDefinitionFile) ?
-      taskDefinitionFile :
-      path.join(process.env.GITHUB_WORKSPACE, taskDefinitionFile);
-    const fileContents = fs.readFileSync(taskDefPath, 'utf8');
-    const taskDefContents = maintainValidObjects(removeIgnoredAttributes(cleanNullKeys(yaml.parse(fileContents))));
-    let registerResponse;
-    try {
-      registerResponse = await ecs.registerTaskDefinition(taskDefContents);
-    } catch (error) {
-      core.setFailed("Failed to register task definition in ECS: " + error.message);
-      core.debug("Task definition contents:");
-      core.debug(JSON.stringify(taskDefContents, undefined, 4));
-      throw(error);
+    // The first file is the base task definition, and any other files are overlays merged into it in order
+    const taskDefFiles = taskDefinitionFile.split('\n').map(file => file.trim()).filter(file => file);
+    let taskDefObject = taskDefFiles
+      .map(file => {
+        const taskDefPath = path.isAbsolute(file) ?
+          file :
+          path.join(process.env.GITHUB_WORKSPACE, file);
+        const taskDefFileContents = yaml.parse(fs.readFileSync(taskDefPath, 'utf8'), { customTags: CLOUDFORMATION_YAML_TAGS });
+        const cloudFormationResource = findCloudFormationTaskDefinition(taskDefFileContents, taskDefLogicalId, file);
+        if (cloudFormationResource) {
+          core.debug(`Converting the CloudFormation task definition in ${file}`);
+          return convertCloudFormationTaskDefinition(cloudFormationResource, file);
+        }
+        return taskDefFileContents;
+      })
+      .reduce((base, overlay) => mergeTaskDefinitionOverlay(base, overlay));
+    if (taskDefFiles.length > 1) {
+      core.debug(`Task definition after merging ${taskDefFiles.length - 1} overlay file(s):`);
+      core.debug(JSON.stringify(taskDefObject, undefined, 4));
     }
-    const taskDefArn = registerResponse.taskDefinition.taskDefinitionArn;
-    core.setOutput('task-definition-arn', taskDefArn);
+    if (templateVariables) {
+      taskDefObject = renderTemplate(taskDefObject, templateVariables, 'task definition file');
+    }
+    let taskDefContents = maintainValidObjects(removeIgnoredAttributes(cleanNullKeys(taskDefObject)));
+    taskDefContents = addContainerEnvironmentFiles(taskDefContents, environmentFiles, 'environment', environmentFilesPolicy, 'environment-files');
+    taskDefContents = addContainerEnvironmentFiles(taskDefContents, secretsFiles, 'secrets', environmentFilesPolicy, 'secrets-files');
+    taskDefContents = addTaskDefinitionTags(overrideContainerImages(taskDefContents, containerImages), tags);
+    if (validateTaskDef) {
+      validateTaskDefinition(taskDefContents);
+    }
+    if (lintSeverities) {
+      lintTaskDefinition(taskDefContents, lintSeverities);
+    }
+    if (resolveDigests) {
+      await resolveImageDigests(taskDefContents, region => new ECR({
+        region: region,
+        customUserAgent: 'amazon-ecs-deploy-task-definition-for-github-actions'
+      }));
+    }
+    report.containers = (taskDefContents.containerDefinitions || []).map(container => ({ name: container.name, image: container.image }));
 
-    // Update the service with the new task definition
-    if (service) {
-      const clusterName = cluster ? cluster : 'default';
+    // Read the definition of the service to create if it does not exist yet
+    let serviceDefinition;
+    if (serviceDefinitionFile) {
+      const serviceDefPath = path.isAbsolute(serviceDefinitionFile) ?
+        serviceDefinitionFile :
+        path.join(process.env.GITHUB_WORKSPACE, serviceDefinitionFile);
+      let serviceDefObject = yaml.parse(fs.readFileSync(serviceDefPath, 'utf8'));
+      if (templateVariables) {
+        serviceDefObject = renderTemplate(serviceDefObject, templateVariables, 'service definition file');
+      }
+      serviceDefinition = cleanNullKeys(serviceDefObject);
+    }
 
-      // Determine the deployment controller
-      const describeResponse = await ecs.describeServices({
-        services: [service],
-        cluster: clusterName
-      });
+    if (dryRun) {
+      core.info('Dry run: the task definition will not be registered and no service will be updated');
+      await planDeployment(ecs, taskDefContents, targets);
+      report.status = 'DRY RUN';
+      return;
+    }
 
-      if (describeResponse.failures && describeResponse.failures.length > 0) {
-        const failure = describeResponse.failures[0];
-        throw new Error(`${failure.arn} is ${failure.reason}`);
+    let taskDefArn;
+    if (skipIfUnchanged) {
+      const unchangedTaskDefArn = await findUnchangedTaskDefinition(ecs, taskDefContents, targets);
+      // A forced deployment or a change to the service configuration still needs the services to be updated
+      const updatesServices = targets.length > 0 && (forceNewDeployment ||
+        !isNaN(desiredCount) ||
+        Object.keys(deploymentConfiguration).length > 0 ||
+        Object.keys(serviceOverrides).length > 0);
+      if (unchangedTaskDefArn && !updatesServices) {
+        core.info(`The task definition is unchanged from ${unchangedTaskDefArn}, skipping registration and deployment`);
+        core.setOutput('task-definition-arn', unchangedTaskDefArn);
+        core.setOutput('deployment-skipped', 'true');
+        report.taskDefinitionArn = unchangedTaskDefArn;
+        report.status = 'SKIPPED (unchanged)';
+        return;
+      }
+      if (unchangedTaskDefArn) {
+        core.info(`The task definition is unchanged from ${unchangedTaskDefArn}, skipping registration but updating the services`);
+        taskDefArn = unchangedTaskDefArn;
       }
+    }
 
-      const serviceResponse = describeResponse.services[0];
-      if (serviceResponse.status != 'ACTIVE') {
-        throw new Error(`Service is ${serviceResponse.status}`);
+    if (!taskDefArn) {
+      addGitHubMetadata(taskDefContents, tagWithMetadata, labelWithMetadata);
+      let registerResponse;
+      try {
+        registerResponse = await ecs.registerTaskDefinition(taskDefContents);
+      } catch (error) {
+        core.setFailed("Failed to register task definition in ECS: " + error.message);
+        core.debug("Task definition contents:");
+        core.debug(JSON.stringify(taskDefContents, undefined, 4));
+        throw(error);
       }
+      taskDefArn = registerResponse.taskDefinition.taskDefinitionArn;
+    }
+    core.setOutput('task-definition-arn', taskDefArn);
+    report.taskDefinitionArn = taskDefArn;
 
-      if (!serviceResponse.deploymentController || !serviceResponse.deploymentController.type || serviceResponse.deploymentController.type === 'ECS') {
-        // Service uses the 'ECS' deployment controller, so we can call UpdateService
-        await updateEcsService(ecs, clusterName, service, taskDefArn, waitForService, waitForMinutes, forceNewDeployment, desiredCount);
-      } else if (serviceResponse.deploymentController.type === 'CODE_DEPLOY') {
-        // Service uses CodeDeploy, so we should start a CodeDeploy deployment
-        await createCodeDeployDeployment(codedeploy, clusterName, service, taskDefArn, waitForService, waitForMinutes);
-      } else {
-        throw new Error(`Unsupported deployment controller: ${serviceResponse.deploymentController.type}`);
+    // Run a one-off task, such as database migrations, before the services start using the new task definition
+    if (runTask) {
+      await runPreDeployTask(ecs, targets[0], taskDefArn, taskDefContents, runTaskContainerOverrides, waitForMinutes, serviceDefinition, serviceOverrides);
+    }
+
+    // Update the services with the new task definition
+    if (targets.length > 0) {
+      try {
+        await deployToTargets(ecs, codedeploy, targets, taskDefArn, {
+          waitForService: waitForService,
+          waitForMinutes: waitForMinutes,
+          forceNewDeployment: forceNewDeployment,
+          desiredCount: desiredCount,
+          rollbackOnFailure: rollbackOnFailure,
+          waitForRollback: waitForRollback,
+          templateVariables: templateVariables,
+          showServiceEvents: showServiceEvents,
+          waitStrategy: waitStrategy,
+          deploymentConfiguration: Object.keys(deploymentConfiguration).length > 0 ? deploymentConfiguration : undefined,
+          serviceOverrides: Object.keys(serviceOverrides).length > 0 ? serviceOverrides : undefined,
+          serviceDefinition: serviceDefinition,
+          deployTaskSets: deployTaskSets,
+          deletePreviousTaskSets: deletePreviousTaskSets
+        }, report);
+      } catch (error) {
+        if (containerLogLines > 0) {
+          await printStoppedContainerLogs(region => new CloudWatchLogs(Object.assign({
+            customUserAgent: 'amazon-ecs-deploy-task-definition-for-github-actions'
+          }, region ? { region: region } : {})), taskDefContents, report.results, containerLogLines);
+        }
+        throw error;
       }
     } else {
       core.debug('Service was not specified, no service updated');
     }
+
+    // Clean up old revisions only once the deployment succeeded, failing to do so does not fail the deployment
+    if (retainRevisions) {
+      try {
+        await cleanUpTaskDefinitionRevisions(ecs, taskDefContents.family, targets, retainRevisions, deleteInactive);
+      } catch (error) {
+        core.warning(`Unable to clean up revisions of task definition family ${taskDefContents.family}: ${error.message}`);
+      }
+    }
+
+    report.status = 'SUCCEEDED';
   }
   catch (error) {
+    report.error = error.message;
     core.setFailed(error.message);
     core.debug(error.stack);
   }
+  finally {
+    await writeJobSummary(ecs, report);
+  }
 }
 
 module.exports = run;
@@ -1,7 +1,9 @@
 const run = require('.');
 const core = require('@actions/core');
+const { CloudWatchLogs } = require('@aws-sdk/client-cloudwatch-logs');
 const { CodeDeploy, waitUntilDeploymentSuccessful } = require('@aws-sdk/client-codedeploy');
-const { ECS, waitUntilServicesStable } = require('@aws-sdk/client-ecs');
+const { ECR } = require('@aws-sdk/client-ecr');
+const { ECS, waitUntilServicesStable, waitUntilTasksStopped } = require('@aws-sdk/client-ecs');
 const fs = require('fs');
 const path = require('path');
 
@@ -14,13 +16,32 @@ jest.mock('fs', () => ({
 const mockEcsRegisterTaskDef = jest.fn();
 const mockEcsUpdateService = jest.fn();
 const mockEcsDescribeServices = jest.fn();
+const mockEcsDescribeTaskDef = jest.fn();
+const mockEcsRunTask = jest.fn();
+const mockEcsDescribeTasks = jest.fn();
+const mockEcsListTaskDefs = jest.fn();
+const mockEcsDeregisterTaskDef = jest.fn();
+const mockEcsDeleteTaskDefs = jest.fn();
+const mockEcsListTasks = jest.fn();
+const mockEcsCreateTaskSet = jest.fn();
+const mockEcsDescribeTaskSets = jest.fn();
+const mockEcsUpdateServicePrimaryTaskSet = jest.fn();
+const mockEcsUpdateTaskSet = jest.fn();
+const mockEcsDeleteTaskSet = jest.fn();
+const mockEcsDescribeServiceDeployments = jest.fn();
+const mockEcsDescribeServiceRevisions = jest.fn();
+const mockEcsCreateService = jest.fn();
 const mockCodeDeployCreateDeployment = jest.fn();
 const mockCodeDeployGetDeploymentGroup = jest.fn();
+const mockLogsGetLogEvents = jest.fn();
+const mockEcrDescribeImages = jest.fn();
 const config = {
     region: () => Promise.resolve('fake-region'),
 };
 
+jest.mock('@aws-sdk/client-cloudwatch-logs');
 jest.mock('@aws-sdk/client-codedeploy');
+jest.mock('@aws-sdk/client-ecr');
 jest.mock('@aws-sdk/client-ecs');
 
 const EXPECTED_DEFAULT_WAIT_TIME = 30;
@@ -33,7 +54,22 @@ describe('Deploy to ECS', () => {
         config,
         registerTaskDefinition: mockEcsRegisterTaskDef,
         updateService: mockEcsUpdateService,
-        describeServices: mockEcsDescribeServices
+        describeServices: mockEcsDescribeServices,
+        describeTaskDefinition: mockEcsDescribeTaskDef,
+        runTask: mockEcsRunTask,
+        describeTasks: mockEcsDescribeTasks,
+        listTaskDefinitions: mockEcsListTaskDefs,
+        deregisterTaskDefinition: mockEcsDeregisterTaskDef,
+        deleteTaskDefinitions: mockEcsDeleteTaskDefs,
+        listTasks: mockEcsListTasks,
+        createTaskSet: mockEcsCreateTaskSet,
+        describeTaskSets: mockEcsDescribeTaskSets,
+        updateServicePrimaryTaskSet: mockEcsUpdateServicePrimaryTaskSet,
+        updateTaskSet: mockEcsUpdateTaskSet,
+        deleteTaskSet: mockEcsDeleteTaskSet,
+        describeServiceDeployments: mockEcsDescribeServiceDeployments,
+        describeServiceRevisions: mockEcsDescribeServiceRevisions,
+        createService: mockEcsCreateService
     };
 
     const mockCodeDeployClient = {
@@ -42,14 +78,35 @@ describe('Deploy to ECS', () => {
         getDeploymentGroup: mockCodeDeployGetDeploymentGroup
     };
 
+    const mockLogsClient = {
+        config,
+        getLogEvents: mockLogsGetLogEvents
+    };
+
+    const mockEcrClient = {
+        config,
+        describeImages: mockEcrDescribeImages
+    };
+
     beforeEach(() => {
         jest.clearAllMocks();
 
         core.getInput = jest
-            .fn()
-            .mockReturnValueOnce('task-definition.json') // task-definition
-            .mockReturnValueOnce('service-456')         // service
-            .mockReturnValueOnce('cluster-789');        // cluster
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789'
+                }[input];
+            });
+
+        core.summary = {
+            addHeading: jest.fn().mockReturnThis(),
+            addTable: jest.fn().mockReturnThis(),
+            addRaw: jest.fn().mockReturnThis(),
+            addCodeBlock: jest.fn().mockReturnThis(),
+            write: jest.fn(() => Promise.resolve())
+        };
 
         process.env = Object.assign(process.env, { GITHUB_WORKSPACE: __dirname });
 
@@ -83,6 +140,8 @@ describe('Deploy to ECS', () => {
 
         mockEcsUpdateService.mockImplementation(() => Promise.resolve({}));
 
+        mockEcsListTasks.mockImplementation(() => Promise.resolve({ taskArns: [] }));
+
         mockEcsDescribeServices.mockImplementation(
             () => Promise.resolve({
                 failures: [],
@@ -113,9 +172,17 @@ describe('Deploy to ECS', () => {
 
         waitUntilServicesStable.mockImplementation(() => Promise.resolve({}));
 
+        waitUntilTasksStopped.mockImplementation(() => Promise.resolve({}));
+
         CodeDeploy.mockImplementation(() => mockCodeDeployClient);
 
         waitUntilDeploymentSuccessful.mockImplementation(() => Promise.resolve({}));
+
+        CloudWatchLogs.mockImplementation(() => mockLogsClient);
+
+        mockLogsGetLogEvents.mockImplementation(() => Promise.resolve({ events: [] }));
+
+        ECR.mockImplementation(() => mockEcrClient);
     });
 
     test('registers the task definition contents and updates the service', async () => {
@@ -423,11 +490,14 @@ describe('Deploy to ECS', () => {
 
     test('registers the task definition contents and creates a CodeDeploy deployment, waits for 30 minutes + deployment group wait time', async () => {
         core.getInput = jest
-            .fn()
-            .mockReturnValueOnce('task-definition.json') // task-definition
-            .mockReturnValueOnce('service-456')         // service
-            .mockReturnValueOnce('cluster-789')         // cluster
-            .mockReturnValueOnce('TRUE');               // wait-for-service-stability
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'wait-for-service-stability': 'TRUE'
+                }[input];
+            });
 
         mockEcsDescribeServices.mockImplementation(
             () => Promise.resolve({
@@ -500,12 +570,15 @@ describe('Deploy to ECS', () => {
 
     test('registers the task definition contents and creates a CodeDeploy deployment, waits for 1 hour + deployment group\'s wait time', async () => {
         core.getInput = jest
-            .fn()
-            .mockReturnValueOnce('task-definition.json') // task-definition
-            .mockReturnValueOnce('service-456')         // service
-            .mockReturnValueOnce('cluster-789')         // cluster
-            .mockReturnValueOnce('TRUE')                // wait-for-service-stability
-            .mockReturnValueOnce('60');                 // wait-for-minutes
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'wait-for-service-stability': 'TRUE',
+                    'wait-for-minutes': '60'
+                }[input];
+            });
 
         mockEcsDescribeServices.mockImplementation(
             () => Promise.resolve({
@@ -576,12 +649,15 @@ describe('Deploy to ECS', () => {
 
     test('registers the task definition contents and creates a CodeDeploy deployment, waits for max 6 hours', async () => {
         core.getInput = jest
-            .fn()
-            .mockReturnValueOnce('task-definition.json') // task-definition
-            .mockReturnValueOnce('service-456')         // service
-            .mockReturnValueOnce('cluster-789')         // cluster
-            .mockReturnValueOnce('TRUE')                // wait-for-service-stability
-            .mockReturnValueOnce('1000');               // wait-for-minutes
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'wait-for-service-stability': 'TRUE',
+                    'wait-for-minutes': '1000'
+                }[input];
+            });
 
         mockEcsDescribeServices.mockImplementation(
             () => Promise.resolve({
@@ -648,17 +724,18 @@ describe('Deploy to ECS', () => {
 
     test('does not wait for a CodeDeploy deployment, parses JSON appspec file', async () => {
         core.getInput = jest
-            .fn()
-            .mockReturnValueOnce('task-definition.json') // task-definition
-            .mockReturnValueOnce('service-456')          // service
-            .mockReturnValueOnce('cluster-789')          // cluster
-            .mockReturnValueOnce('false')                // wait-for-service-stability
-            .mockReturnValueOnce('')                     // wait-for-minutes
-            .mockReturnValueOnce('')                     // force-new-deployment
-            .mockReturnValueOnce('')                     // desired count
-            .mockReturnValueOnce('/hello/appspec.json')  // codedeploy-appspec
-            .mockReturnValueOnce('MyApplication')        // codedeploy-application
-            .mockReturnValueOnce('MyDeploymentGroup')    // codedeploy-deployment-group
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'wait-for-service-stability': 'false',
+                    'desired-count': '',
+                    'codedeploy-appspec': '/hello/appspec.json',
+                    'codedeploy-application': 'MyApplication',
+                    'codedeploy-deployment-group': 'MyDeploymentGroup'
+                }[input];
+            });
 
         fs.readFileSync.mockReturnValue(`
             {
@@ -850,7 +927,12 @@ describe('Deploy to ECS', () => {
     });
 
     test('registers the task definition contents at an absolute path', async () => {
-        core.getInput = jest.fn().mockReturnValueOnce('/hello/task-definition.json');
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': '/hello/task-definition.json'
+                }[input];
+            });
         fs.readFileSync.mockImplementation((pathInput, encoding) => {
             if (encoding != 'utf8') {
                 throw new Error(`Wrong encoding ${encoding}`);
@@ -872,12 +954,14 @@ describe('Deploy to ECS', () => {
 
     test('waits for the service to be stable', async () => {
         core.getInput = jest
-            .fn()
-            .mockReturnValueOnce('task-definition.json') // task-definition
-            .mockReturnValueOnce('service-456')          // service
-            .mockReturnValueOnce('cluster-789')          // cluster
-            .mockReturnValueOnce('TRUE')                 // wait-for-service-stability
-            .mockReturnValueOnce('');                    // desired count
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'wait-for-service-stability': 'TRUE'
+                }[input];
+            });
 
         await run();
         expect(core.setFailed).toHaveBeenCalledTimes(0);
@@ -910,13 +994,15 @@ describe('Deploy to ECS', () => {
 
     test('waits for the service to be stable for specified minutes', async () => {
         core.getInput = jest
-            .fn()
-            .mockReturnValueOnce('task-definition.json') // task-definition
-            .mockReturnValueOnce('service-456')          // service
-            .mockReturnValueOnce('cluster-789')          // cluster
-            .mockReturnValueOnce('TRUE')                 // wait-for-service-stability
-            .mockReturnValueOnce('60')                   // wait-for-minutes
-            .mockReturnValueOnce('');                    // desired count
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'wait-for-service-stability': 'TRUE',
+                    'wait-for-minutes': '60'
+                }[input];
+            });
 
         await run();
         expect(core.setFailed).toHaveBeenCalledTimes(0);
@@ -949,13 +1035,16 @@ describe('Deploy to ECS', () => {
 
     test('waits for the service to be stable for max 6 hours', async () => {
         core.getInput = jest
-            .fn()
-            .mockReturnValueOnce('task-definition.json') // task-definition
-            .mockReturnValueOnce('service-456')          // service
-            .mockReturnValueOnce('cluster-789')          // cluster
-            .mockReturnValueOnce('TRUE')                 // wait-for-service-stability
-            .mockReturnValueOnce('1000')                 // wait-for-minutes
-            .mockReturnValueOnce('abc');                 // desired count is NaN
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'wait-for-service-stability': 'TRUE',
+                    'wait-for-minutes': '1000',
+                    'desired-count': 'abc'
+                }[input];
+            });
 
         await run();
         expect(core.setFailed).toHaveBeenCalledTimes(0);
@@ -988,14 +1077,16 @@ describe('Deploy to ECS', () => {
 
     test('force new deployment', async () => {
         core.getInput = jest
-            .fn()
-            .mockReturnValueOnce('task-definition.json') // task-definition
-            .mockReturnValueOnce('service-456')          // service
-            .mockReturnValueOnce('cluster-789')          // cluster
-            .mockReturnValueOnce('false')                // wait-for-service-stability
-            .mockReturnValueOnce('')                     // wait-for-minutes
-            .mockReturnValueOnce('true')                 // force-new-deployment
-            .mockReturnValueOnce('4');                   // desired count is number
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'wait-for-service-stability': 'false',
+                    'force-new-deployment': 'true',
+                    'desired-count': '4'
+                }[input];
+            });
 
         await run();
         expect(core.setFailed).toHaveBeenCalledTimes(0);
@@ -1017,10 +1108,12 @@ describe('Deploy to ECS', () => {
 
     test('defaults to the default cluster', async () => {
         core.getInput = jest
-            .fn()
-            .mockReturnValueOnce('task-definition.json') // task-definition
-            .mockReturnValueOnce('service-456')          // service
-            .mockReturnValueOnce('');                    // desired count
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456'
+                }[input];
+            });
 
         await run();
         expect(core.setFailed).toHaveBeenCalledTimes(0);
@@ -1041,8 +1134,11 @@ describe('Deploy to ECS', () => {
 
     test('does not update service if none specified', async () => {
         core.getInput = jest
-            .fn()
-            .mockReturnValueOnce('task-definition.json'); // task-definition
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json'
+                }[input];
+            });
 
         await run();
         expect(core.setFailed).toHaveBeenCalledTimes(0);
@@ -1132,4 +1228,3407 @@ describe('Deploy to ECS', () => {
         expect(core.setFailed).toHaveBeenNthCalledWith(1, 'Failed to register task definition in ECS: Could not parse');
         expect(core.setFailed).toHaveBeenNthCalledWith(2, 'Could not parse');
     });
+
+    test('deploys to multiple services and clusters', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'cluster': 'cluster-789',
+                    'wait-for-service-stability': 'TRUE',
+                    'deployment-targets': `
+                        - service: web
+                        - service: worker
+                          cluster: cluster-123
+                          codedeploy-application: Worker-Application
+                          codedeploy-deployment-group: Worker-Deployment-Group`
+                }[input];
+            });
+
+        mockEcsDescribeServices.mockImplementation(params => Promise.resolve({
+            failures: [],
+            services: [{
+                status: 'ACTIVE',
+                deploymentController: {
+                    type: params.services[0] == 'worker' ? 'CODE_DEPLOY' : 'ECS'
+                }
+            }]
+        }));
+
+        await run();
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+
+        expect(mockEcsRegisterTaskDef).toHaveBeenCalledTimes(1);
+        expect(mockEcsDescribeServices).toHaveBeenCalledWith({
+            cluster: 'cluster-789',
+            services: ['web']
+        });
+        expect(mockEcsDescribeServices).toHaveBeenCalledWith({
+            cluster: 'cluster-123',
+            services: ['worker']
+        });
+        expect(mockEcsUpdateService).toHaveBeenNthCalledWith(1, {
+            cluster: 'cluster-789',
+            service: 'web',
+            taskDefinition: 'task:def:arn',
+            forceNewDeployment: false
+        });
+        expect(mockCodeDeployCreateDeployment).toHaveBeenNthCalledWith(1, expect.objectContaining({
+            applicationName: 'Worker-Application',
+            deploymentGroupName: 'Worker-Deployment-Group'
+        }));
+        expect(waitUntilServicesStable).toHaveBeenCalledTimes(1);
+        expect(waitUntilDeploymentSuccessful).toHaveBeenCalledTimes(1);
+        expect(core.setOutput).toHaveBeenCalledWith('deployment-results', JSON.stringify([
+            { service: 'web', cluster: 'cluster-789', deploymentController: 'ECS', status: 'SUCCEEDED' },
+            { service: 'worker', cluster: 'cluster-123', deploymentController: 'CODE_DEPLOY', codeDeployDeploymentId: 'deployment-1', status: 'SUCCEEDED' }
+        ]));
+    });
+
+    test('reports the result of every service when deploying to one of multiple services fails', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'deployment-targets': '[{"service": "web"}, {"service": "worker", "cluster": "cluster-123"}]'
+                }[input];
+            });
+
+        mockEcsUpdateService.mockImplementation(params => {
+            if (params.service == 'worker') {
+                return Promise.reject(new Error('Service not found'));
+            }
+            return Promise.resolve({});
+        });
+
+        await run();
+
+        expect(mockEcsUpdateService).toHaveBeenCalledTimes(2);
+        expect(core.setOutput).toHaveBeenCalledWith('deployment-results', JSON.stringify([
+            { service: 'web', cluster: 'default', deploymentController: 'ECS', status: 'SUCCEEDED' },
+            { service: 'worker', cluster: 'cluster-123', status: 'FAILED', error: 'Service not found' }
+        ]));
+        expect(core.error).toBeCalledWith('Deployment to service worker in cluster cluster-123 failed: Service not found');
+        expect(core.setFailed).toBeCalledWith('Deployment failed for 1 of 2 services: cluster-123/worker');
+    });
+
+    test('error is caught if both service and deployment targets are specified', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'deployment-targets': '- service: web'
+                }[input];
+            });
+
+        await run();
+
+        expect(mockEcsRegisterTaskDef).toHaveBeenCalledTimes(0);
+        expect(core.setFailed).toBeCalledWith("Only one of 'service' and 'deployment-targets' can be specified");
+    });
+
+    test('error is caught if a deployment target has no service', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'deployment-targets': '- cluster: cluster-789'
+                }[input];
+            });
+
+        await run();
+
+        expect(mockEcsRegisterTaskDef).toHaveBeenCalledTimes(0);
+        expect(core.setFailed).toBeCalledWith("Deployment target at index 0 must include property 'service'");
+    });
+
+    test('rolls back to the previous task definition if the service does not become stable', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'wait-for-service-stability': 'TRUE',
+                    'rollback-on-failure': 'true',
+                    'wait-for-rollback-stability': 'true'
+                }[input];
+            });
+
+        mockEcsDescribeServices.mockImplementation(
+            () => Promise.resolve({
+                failures: [],
+                services: [{
+                    status: 'ACTIVE',
+                    taskDefinition: 'task:def:previous'
+                }]
+            })
+        );
+        waitUntilServicesStable
+            .mockImplementationOnce(() => Promise.reject(new Error('Waiter timed out')))
+            .mockImplementationOnce(() => Promise.resolve({}));
+
+        await run();
+
+        expect(mockEcsUpdateService).toHaveBeenNthCalledWith(1, {
+            cluster: 'cluster-789',
+            service: 'service-456',
+            taskDefinition: 'task:def:arn',
+            forceNewDeployment: false
+        });
+        expect(mockEcsUpdateService).toHaveBeenNthCalledWith(2, {
+            cluster: 'cluster-789',
+            service: 'service-456',
+            taskDefinition: 'task:def:previous'
+        });
+        expect(waitUntilServicesStable).toHaveBeenCalledTimes(2);
+        expect(core.setOutput).toBeCalledWith('rolled-back-task-definition-arn', 'task:def:previous');
+        expect(core.setFailed).toBeCalledWith('Service service-456 did not become stable and was rolled back to task definition task:def:previous: Waiter timed out');
+    });
+
+    test('does not roll back if rollback on failure is not enabled', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'wait-for-service-stability': 'TRUE'
+                }[input];
+            });
+
+        waitUntilServicesStable.mockImplementation(() => Promise.reject(new Error('Waiter timed out')));
+
+        await run();
+
+        expect(mockEcsUpdateService).toHaveBeenCalledTimes(1);
+        expect(core.setOutput).not.toBeCalledWith('rolled-back-task-definition-arn', expect.anything());
+        expect(core.setFailed).toBeCalledWith('Waiter timed out');
+    });
+
+    test('error is caught if the rolled back service does not become stable', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'wait-for-service-stability': 'TRUE',
+                    'rollback-on-failure': 'true',
+                    'wait-for-rollback-stability': 'true'
+                }[input];
+            });
+
+        mockEcsDescribeServices.mockImplementation(
+            () => Promise.resolve({
+                failures: [],
+                services: [{
+                    status: 'ACTIVE',
+                    taskDefinition: 'task:def:previous'
+                }]
+            })
+        );
+        waitUntilServicesStable.mockImplementation(() => Promise.reject(new Error('Waiter timed out')));
+
+        await run();
+
+        expect(mockEcsUpdateService).toHaveBeenCalledTimes(2);
+        expect(core.setFailed).toBeCalledWith('Service service-456 was rolled back to task definition task:def:previous but did not become stable: Waiter timed out');
+    });
+
+    test('error is caught if rollback on failure is enabled without waiting for service stability', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'rollback-on-failure': 'true'
+                }[input];
+            });
+
+        await run();
+
+        expect(mockEcsRegisterTaskDef).toHaveBeenCalledTimes(0);
+        expect(core.setFailed).toBeCalledWith("'rollback-on-failure' requires 'wait-for-service-stability' to be enabled");
+    });
+
+    test('skips registration and deployment if the task definition is unchanged', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'skip-if-unchanged': 'true'
+                }[input];
+            });
+
+        fs.readFileSync.mockImplementation(() => JSON.stringify({
+            family: 'task-def-family',
+            containerDefinitions: [{
+                name: 'web',
+                image: 'nginx:1.0',
+                portMappings: [{ containerPort: 80 }],
+                environment: [{ name: 'B', value: '2' }, { name: 'A', value: '1' }]
+            }]
+        }));
+        mockEcsDescribeServices.mockImplementation(
+            () => Promise.resolve({
+                failures: [],
+                services: [{
+                    status: 'ACTIVE',
+                    taskDefinition: 'task:def:previous'
+                }]
+            })
+        );
+        mockEcsDescribeTaskDef.mockImplementation(() => Promise.resolve({
+            taskDefinition: {
+                taskDefinitionArn: 'task:def:previous',
+                family: 'task-def-family',
+                revision: 3,
+                status: 'ACTIVE',
+                compatibilities: ['EC2'],
+                volumes: [],
+                containerDefinitions: [{
+                    name: 'web',
+                    image: 'nginx:1.0',
+                    cpu: 0,
+                    essential: true,
+                    portMappings: [{ containerPort: 80, protocol: 'tcp' }],
+                    environment: [{ name: 'A', value: '1' }, { name: 'B', value: '2' }],
+                    mountPoints: []
+                }]
+            },
+            tags: []
+        }));
+
+        await run();
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+
+        expect(mockEcsDescribeTaskDef).toHaveBeenNthCalledWith(1, {
+            taskDefinition: 'task:def:previous',
+            include: ['TAGS']
+        });
+        expect(mockEcsRegisterTaskDef).toHaveBeenCalledTimes(0);
+        expect(mockEcsUpdateService).toHaveBeenCalledTimes(0);
+        expect(core.setOutput).toHaveBeenNthCalledWith(1, 'task-definition-arn', 'task:def:previous');
+        expect(core.setOutput).toHaveBeenNthCalledWith(2, 'deployment-skipped', 'true');
+    });
+
+    test('registers and deploys if the task definition has changed', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'skip-if-unchanged': 'true'
+                }[input];
+            });
+
+        mockEcsDescribeServices.mockImplementation(
+            () => Promise.resolve({
+                failures: [],
+                services: [{
+                    status: 'ACTIVE',
+                    taskDefinition: 'task:def:previous'
+                }]
+            })
+        );
+        mockEcsDescribeTaskDef.mockImplementation(() => Promise.resolve({
+            taskDefinition: {
+                taskDefinitionArn: 'task:def:previous',
+                family: 'task-def-family',
+                cpu: '256'
+            }
+        }));
+
+        await run();
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+
+        expect(mockEcsRegisterTaskDef).toHaveBeenNthCalledWith(1, { family: 'task-def-family' });
+        expect(mockEcsUpdateService).toHaveBeenCalledTimes(1);
+        expect(core.setOutput).not.toBeCalledWith('deployment-skipped', 'true');
+    });
+
+    test('compares with the latest revision of the family if no service is specified', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'skip-if-unchanged': 'true'
+                }[input];
+            });
+
+        mockEcsDescribeTaskDef.mockImplementation(() => Promise.resolve({
+            taskDefinition: {
+                taskDefinitionArn: 'task:def:latest',
+                family: 'task-def-family'
+            }
+        }));
+
+        await run();
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+
+        expect(mockEcsDescribeServices).toHaveBeenCalledTimes(0);
+        expect(mockEcsDescribeTaskDef).toHaveBeenNthCalledWith(1, {
+            taskDefinition: 'task-def-family',
+            include: ['TAGS']
+        });
+        expect(mockEcsRegisterTaskDef).toHaveBeenCalledTimes(0);
+        expect(core.setOutput).toHaveBeenNthCalledWith(1, 'task-definition-arn', 'task:def:latest');
+    });
+
+    test('registers the task definition if its family does not exist yet', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'skip-if-unchanged': 'true'
+                }[input];
+            });
+
+        mockEcsDescribeTaskDef.mockImplementation(() => Promise.reject(new Error('Unable to describe task definition.')));
+
+        await run();
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+
+        expect(mockEcsRegisterTaskDef).toHaveBeenNthCalledWith(1, { family: 'task-def-family' });
+        expect(core.setOutput).toHaveBeenNthCalledWith(1, 'task-definition-arn', 'task:def:arn');
+    });
+
+    test('shows the task definition changes without deploying in dry run mode', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'dry-run': 'true'
+                }[input];
+            });
+
+        fs.readFileSync.mockImplementation(() => JSON.stringify({
+            family: 'task-def-family',
+            cpu: '512',
+            containerDefinitions: [{
+                name: 'web',
+                image: 'nginx:1.1',
+                environment: [{ name: 'STAGE', value: 'prod' }, { name: 'DEBUG', value: 'false' }],
+                secrets: [{ name: 'DB_PASSWORD', valueFrom: 'arn:secret:db' }]
+            }, {
+                name: 'sidecar',
+                image: 'envoy:1'
+            }]
+        }));
+        mockEcsDescribeServices.mockImplementation(
+            () => Promise.resolve({
+                failures: [],
+                services: [{
+                    status: 'ACTIVE',
+                    launchType: 'FARGATE',
+                    desiredCount: 2,
+                    runningCount: 2,
+                    taskDefinition: 'task:def:previous'
+                }]
+            })
+        );
+        mockEcsDescribeTaskDef.mockImplementation(() => Promise.resolve({
+            taskDefinition: {
+                taskDefinitionArn: 'task:def:previous',
+                family: 'task-def-family',
+                cpu: '256',
+                containerDefinitions: [{
+                    name: 'web',
+                    image: 'nginx:1.0',
+                    environment: [{ name: 'STAGE', value: 'staging' }, { name: 'VERBOSE', value: 'true' }],
+                    secrets: [{ name: 'DB_PASSWORD', valueFrom: 'arn:secret:old' }, { name: 'API_KEY', valueFrom: 'arn:secret:api' }]
+                }, {
+                    name: 'logger',
+                    image: 'fluent-bit:1'
+                }]
+            }
+        }));
+
+        await run();
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+
+        const expectedPlan = [
+            'Service service-456 in cluster cluster-789 (status: ACTIVE, deployment controller: ECS, launch type: FARGATE, desired count: 2, running count: 2)',
+            'Changes compared to task:def:previous:',
+            '  cpu: "256" -> "512"',
+            '  container web:',
+            '    image: "nginx:1.0" -> "nginx:1.1"',
+            '    environment DEBUG: added "false"',
+            '    environment STAGE: "staging" -> "prod"',
+            '    environment VERBOSE: removed',
+            '    secret DB_PASSWORD: changed',
+            '    secret API_KEY: removed',
+            '  container sidecar: added with image "envoy:1"',
+            '  container logger: removed'
+        ].join('\n');
+        expect(core.info).toBeCalledWith(expectedPlan);
+        expect(core.setOutput).toHaveBeenNthCalledWith(1, 'task-definition-diff', expectedPlan);
+        expect(mockEcsRegisterTaskDef).toHaveBeenCalledTimes(0);
+        expect(mockEcsUpdateService).toHaveBeenCalledTimes(0);
+        expect(mockCodeDeployCreateDeployment).toHaveBeenCalledTimes(0);
+    });
+
+    test('shows that the task definition family would be created in dry run mode', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'dry-run': 'true'
+                }[input];
+            });
+
+        mockEcsDescribeTaskDef.mockImplementation(() => Promise.reject(new Error('Unable to describe task definition.')));
+
+        await run();
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+
+        expect(core.setOutput).toHaveBeenNthCalledWith(1, 'task-definition-diff',
+            'Task definition family task-def-family\nNo registered revision found, a new task definition family would be created');
+        expect(mockEcsRegisterTaskDef).toHaveBeenCalledTimes(0);
+    });
+
+    test('shows services that cannot be deployed to in dry run mode', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'dry-run': 'true'
+                }[input];
+            });
+
+        mockEcsDescribeServices.mockImplementation(
+            () => Promise.resolve({
+                failures: [{
+                    reason: 'MISSING',
+                    arn: 'hello'
+                }],
+                services: []
+            })
+        );
+
+        await run();
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+
+        expect(core.setOutput).toHaveBeenNthCalledWith(1, 'task-definition-diff',
+            'Service service-456 in cluster default\nService cannot be deployed to: hello is MISSING');
+        expect(mockEcsDescribeTaskDef).toHaveBeenCalledTimes(0);
+        expect(mockEcsRegisterTaskDef).toHaveBeenCalledTimes(0);
+    });
+
+    test('renders placeholders in the task definition and AppSpec files', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'render-templates': 'true',
+                    'template-variables': 'IMAGE_TAG=abc123\n# comment\n\nENVIRONMENT = prod'
+                }[input];
+            });
+
+        process.env.TEMPLATE_TEST_ACCOUNT_ID = '111122223333';
+        process.env.ENVIRONMENT = 'overridden';
+        fs.readFileSync.mockImplementation((pathInput) => {
+            if (pathInput == path.join(process.env.GITHUB_WORKSPACE, 'appspec.yaml')) {
+                return `
+                Resources:
+                - TargetService:
+                    Type: AWS::ECS::Service
+                    Properties:
+                      TaskDefinition: helloworld
+                      LoadBalancerInfo:
+                        ContainerName: web-{{ ENVIRONMENT }}
+                        ContainerPort: 80`;
+            }
+
+            return JSON.stringify({
+                family: 'task-def-family-{{ ENVIRONMENT }}',
+                containerDefinitions: [{
+                    name: 'web-{{ENVIRONMENT}}',
+                    image: '{{ TEMPLATE_TEST_ACCOUNT_ID }}.dkr.ecr.us-east-1.amazonaws.com/web:{{ IMAGE_TAG }}',
+                    memory: 512
+                }]
+            });
+        });
+        mockEcsDescribeServices.mockImplementation(
+            () => Promise.resolve({
+                failures: [],
+                services: [{
+                    status: 'ACTIVE',
+                    deploymentController: {
+                        type: 'CODE_DEPLOY'
+                    }
+                }]
+            })
+        );
+
+        await run();
+        delete process.env.TEMPLATE_TEST_ACCOUNT_ID;
+        delete process.env.ENVIRONMENT;
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+
+        expect(mockEcsRegisterTaskDef).toHaveBeenNthCalledWith(1, {
+            family: 'task-def-family-prod',
+            containerDefinitions: [{
+                name: 'web-prod',
+                image: '111122223333.dkr.ecr.us-east-1.amazonaws.com/web:abc123',
+                memory: 512
+            }]
+        });
+        const appSpecContent = JSON.parse(mockCodeDeployCreateDeployment.mock.calls[0][0].revision.appSpecContent.content);
+        expect(appSpecContent.Resources[0].TargetService.Properties.LoadBalancerInfo.ContainerName).toEqual('web-prod');
+    });
+
+    test('error is caught if placeholders cannot be resolved', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'render-templates': 'true',
+                    'template-variables': 'IMAGE_TAG=abc123'
+                }[input];
+            });
+
+        fs.readFileSync.mockImplementation(() => JSON.stringify({
+            family: 'task-def-family-{{ UNKNOWN_ENVIRONMENT }}',
+            containerDefinitions: [{
+                name: 'web',
+                image: 'web:{{ IMAGE_TAG }}',
+                environment: [{ name: 'REGION', value: '{{ UNKNOWN_REGION }}-{{ UNKNOWN_ENVIRONMENT }}' }]
+            }]
+        }));
+
+        await run();
+
+        expect(mockEcsRegisterTaskDef).toHaveBeenCalledTimes(0);
+        expect(core.setFailed).toBeCalledWith('Unresolved placeholders in the task definition file: UNKNOWN_ENVIRONMENT, UNKNOWN_REGION');
+    });
+
+    test('does not render placeholders by default', async () => {
+        fs.readFileSync.mockImplementation(() => JSON.stringify({ family: 'task-def-family-{{ ENVIRONMENT }}' }));
+
+        await run();
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+
+        expect(mockEcsRegisterTaskDef).toHaveBeenNthCalledWith(1, { family: 'task-def-family-{{ ENVIRONMENT }}' });
+    });
+
+    test('error is caught if a template variable is not formatted correctly', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'render-templates': 'true',
+                    'template-variables': 'IMAGE_TAG'
+                }[input];
+            });
+
+        await run();
+
+        expect(mockEcsRegisterTaskDef).toHaveBeenCalledTimes(0);
+        expect(core.setFailed).toBeCalledWith("Invalid template variable 'IMAGE_TAG', expected 'KEY=value'");
+    });
+
+    test('overrides container images', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'container-images': 'web=123456789012.dkr.ecr.us-east-1.amazonaws.com/web:abc123\nworker = worker:2'
+                }[input];
+            });
+
+        fs.readFileSync.mockImplementation(() => JSON.stringify({
+            family: 'task-def-family',
+            containerDefinitions: [
+                { name: 'web', image: 'web:latest' },
+                { name: 'worker', image: 'worker:1' },
+                { name: 'sidecar', image: 'envoy:1' }
+            ]
+        }));
+
+        await run();
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+
+        expect(mockEcsRegisterTaskDef).toHaveBeenNthCalledWith(1, {
+            family: 'task-def-family',
+            containerDefinitions: [
+                { name: 'web', image: '123456789012.dkr.ecr.us-east-1.amazonaws.com/web:abc123' },
+                { name: 'worker', image: 'worker:2' },
+                { name: 'sidecar', image: 'envoy:1' }
+            ]
+        });
+    });
+
+    test('error is caught if a container image override names an unknown container', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'container-images': 'web=web:2\napi=api:2\ncron=cron:2'
+                }[input];
+            });
+
+        fs.readFileSync.mockImplementation(() => JSON.stringify({
+            family: 'task-def-family',
+            containerDefinitions: [{ name: 'web', image: 'web:1' }]
+        }));
+
+        await run();
+
+        expect(mockEcsRegisterTaskDef).toHaveBeenCalledTimes(0);
+        expect(core.setFailed).toBeCalledWith("Containers in 'container-images' not found in the task definition: api, cron");
+    });
+
+    test('runs a task before updating the service', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'run-task': 'true',
+                    'run-task-container-overrides': '[{"name": "web", "command": ["npm", "run", "migrate"]}]'
+                }[input];
+            });
+
+        fs.readFileSync.mockImplementation(() => JSON.stringify({
+            family: 'task-def-family',
+            containerDefinitions: [
+                { name: 'web', image: 'web:1' },
+                { name: 'log-router', image: 'fluent-bit:1', essential: false }
+            ]
+        }));
+        const networkConfiguration = {
+            awsvpcConfiguration: {
+                subnets: ['subnet-1'],
+                securityGroups: ['sg-1'],
+                assignPublicIp: 'DISABLED'
+            }
+        };
+        mockEcsDescribeServices.mockImplementation(
+            () => Promise.resolve({
+                failures: [],
+                services: [{
+                    status: 'ACTIVE',
+                    capacityProviderStrategy: [{ capacityProvider: 'FARGATE_SPOT', weight: 1 }],
+                    platformVersion: 'LATEST',
+                    networkConfiguration: networkConfiguration
+                }]
+            })
+        );
+        mockEcsRunTask.mockImplementation(() => Promise.resolve({ failures: [], tasks: [{ taskArn: 'task:arn' }] }));
+        mockEcsDescribeTasks.mockImplementation(() => Promise.resolve({
+            tasks: [{
+                taskArn: 'task:arn',
+                containers: [{ name: 'web', exitCode: 0 }, { name: 'log-router', exitCode: 137 }]
+            }]
+        }));
+
+        await run();
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+
+        expect(mockEcsRunTask).toHaveBeenNthCalledWith(1, {
+            cluster: 'cluster-789',
+            taskDefinition: 'task:def:arn',
+            count: 1,
+            startedBy: 'GitHub-Actions',
+            capacityProviderStrategy: [{ capacityProvider: 'FARGATE_SPOT', weight: 1 }],
+            platformVersion: 'LATEST',
+            networkConfiguration: networkConfiguration,
+            overrides: {
+                containerOverrides: [{ name: 'web', command: ['npm', 'run', 'migrate'] }]
+            }
+        });
+        expect(waitUntilTasksStopped).toHaveBeenNthCalledWith(
+            1,
+            {
+                client: mockEcsClient,
+                minDelay: 15,
+                maxWaitTime: EXPECTED_DEFAULT_WAIT_TIME * 60,
+            },
+            {
+                tasks: ['task:arn'],
+                cluster: 'cluster-789',
+            }
+        );
+        expect(core.setOutput).toBeCalledWith('run-task-arn', 'task:arn');
+        expect(mockEcsUpdateService).toHaveBeenCalledTimes(1);
+    });
+
+    test('does not update the service if an essential container of the run task fails', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'run-task': 'true'
+                }[input];
+            });
+
+        mockEcsDescribeServices.mockImplementation(
+            () => Promise.resolve({
+                failures: [],
+                services: [{
+                    status: 'ACTIVE',
+                    launchType: 'EC2'
+                }]
+            })
+        );
+        mockEcsRunTask.mockImplementation(() => Promise.resolve({ failures: [], tasks: [{ taskArn: 'task:arn' }] }));
+        mockEcsDescribeTasks.mockImplementation(() => Promise.resolve({
+            tasks: [{
+                taskArn: 'task:arn',
+                stoppedReason: 'Essential container in task exited',
+                containers: [{ name: 'web', exitCode: 1, reason: 'OutOfMemoryError' }]
+            }]
+        }));
+        fs.readFileSync.mockImplementation(() => JSON.stringify({
+            family: 'task-def-family',
+            containerDefinitions: [{ name: 'web', image: 'web:1' }]
+        }));
+
+        await run();
+
+        expect(mockEcsRunTask).toHaveBeenNthCalledWith(1, {
+            cluster: 'cluster-789',
+            taskDefinition: 'task:def:arn',
+            count: 1,
+            startedBy: 'GitHub-Actions',
+            launchType: 'EC2'
+        });
+        expect(mockEcsUpdateService).toHaveBeenCalledTimes(0);
+        expect(core.setFailed).toBeCalledWith('Task task:arn failed: container web exited with code 1 (OutOfMemoryError). Stopped reason: Essential container in task exited');
+    });
+
+    test('error is caught if the task cannot be run', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'run-task': 'true'
+                }[input];
+            });
+
+        mockEcsRunTask.mockImplementation(() => Promise.resolve({
+            failures: [{ arn: 'container-instance:arn', reason: 'RESOURCE:MEMORY' }],
+            tasks: []
+        }));
+
+        await run();
+
+        expect(waitUntilTasksStopped).toHaveBeenCalledTimes(0);
+        expect(mockEcsUpdateService).toHaveBeenCalledTimes(0);
+        expect(core.setFailed).toBeCalledWith('Failed to run task: container-instance:arn is RESOURCE:MEMORY');
+    });
+
+    test('error is caught if a task is run without a service', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'run-task': 'true'
+                }[input];
+            });
+
+        await run();
+
+        expect(mockEcsRegisterTaskDef).toHaveBeenCalledTimes(0);
+        expect(core.setFailed).toBeCalledWith("'run-task' requires a service to copy the network configuration from");
+    });
+
+    test('deregisters old task definition revisions after deploying', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'retain-task-definition-revisions': '2',
+                    'delete-inactive-task-definitions': 'true'
+                }[input];
+            });
+
+        mockEcsDescribeServices.mockImplementation(
+            () => Promise.resolve({
+                failures: [],
+                services: [{
+                    status: 'ACTIVE',
+                    taskDefinition: 'task-def-family:1',
+                    deployments: [
+                        { taskDefinition: 'task-def-family:6' },
+                        { taskDefinition: 'task-def-family:1' }
+                    ]
+                }]
+            })
+        );
+        mockEcsListTaskDefs.mockImplementation(params => {
+            if (params.status == 'INACTIVE') {
+                return Promise.resolve({ taskDefinitionArns: ['task-def-family:4', 'task-def-family:3', 'task-def-family:2'] });
+            }
+            if (!params.nextToken) {
+                return Promise.resolve({ taskDefinitionArns: ['task-def-family:6', 'task-def-family:5', 'task-def-family:4'], nextToken: 'page-2' });
+            }
+            return Promise.resolve({ taskDefinitionArns: ['task-def-family:3', 'task-def-family:1'] });
+        });
+        mockEcsDeregisterTaskDef.mockImplementation(() => Promise.resolve({}));
+        mockEcsDeleteTaskDefs.mockImplementation(() => Promise.resolve({
+            taskDefinitions: [{ taskDefinitionArn: 'task-def-family:4' }, { taskDefinitionArn: 'task-def-family:3' }],
+            failures: [{ arn: 'task-def-family:2', reason: 'TASK_DEFINITION_IN_USE' }]
+        }));
+
+        await run();
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+
+        expect(mockEcsListTaskDefs).toHaveBeenNthCalledWith(1, {
+            familyPrefix: 'task-def-family',
+            status: 'ACTIVE',
+            sort: 'DESC',
+            nextToken: undefined
+        });
+        expect(mockEcsListTaskDefs).toHaveBeenNthCalledWith(2, {
+            familyPrefix: 'task-def-family',
+            status: 'ACTIVE',
+            sort: 'DESC',
+            nextToken: 'page-2'
+        });
+        expect(mockEcsDeregisterTaskDef).toHaveBeenCalledTimes(2);
+        expect(mockEcsDeregisterTaskDef).toHaveBeenNthCalledWith(1, { taskDefinition: 'task-def-family:4' });
+        expect(mockEcsDeregisterTaskDef).toHaveBeenNthCalledWith(2, { taskDefinition: 'task-def-family:3' });
+        expect(mockEcsDeleteTaskDefs).toHaveBeenNthCalledWith(1, {
+            taskDefinitions: ['task-def-family:4', 'task-def-family:3', 'task-def-family:2']
+        });
+        expect(core.info).toBeCalledWith('Deregistered task definition task-def-family:4');
+        expect(core.info).toBeCalledWith('Deleted task definition task-def-family:3');
+        expect(core.warning).toBeCalledWith('Unable to delete task definition task-def-family:2: TASK_DEFINITION_IN_USE');
+    });
+
+    test('retries throttled requests when cleaning up task definition revisions', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'retain-task-definition-revisions': '1'
+                }[input];
+            });
+
+        const setTimeoutSpy = jest.spyOn(global, 'setTimeout').mockImplementation(callback => callback());
+        const throttlingError = new Error('Rate exceeded');
+        throttlingError.name = 'ThrottlingException';
+        mockEcsListTaskDefs.mockImplementation(() => Promise.resolve({ taskDefinitionArns: ['task-def-family:2', 'task-def-family:1'] }));
+        mockEcsDeregisterTaskDef
+            .mockImplementationOnce(() => Promise.reject(throttlingError))
+            .mockImplementationOnce(() => Promise.reject(throttlingError))
+            .mockImplementationOnce(() => Promise.resolve({}));
+
+        await run();
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+
+        expect(mockEcsDeregisterTaskDef).toHaveBeenCalledTimes(3);
+        expect(mockEcsDeregisterTaskDef).toHaveBeenLastCalledWith({ taskDefinition: 'task-def-family:1' });
+        expect(setTimeoutSpy).toHaveBeenNthCalledWith(1, expect.any(Function), 1000);
+        expect(setTimeoutSpy).toHaveBeenNthCalledWith(2, expect.any(Function), 2000);
+        expect(mockEcsDeleteTaskDefs).toHaveBeenCalledTimes(0);
+        setTimeoutSpy.mockRestore();
+    });
+
+    test('only warns if task definition revisions cannot be cleaned up', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'retain-task-definition-revisions': '5'
+                }[input];
+            });
+
+        mockEcsListTaskDefs.mockImplementation(() => Promise.reject(new Error('Access denied')));
+
+        await run();
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+
+        expect(core.warning).toBeCalledWith('Unable to clean up revisions of task definition family task-def-family: Access denied');
+    });
+
+    test('error is caught if the number of task definition revisions to retain is invalid', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'retain-task-definition-revisions': '0'
+                }[input];
+            });
+
+        await run();
+
+        expect(mockEcsRegisterTaskDef).toHaveBeenCalledTimes(0);
+        expect(core.setFailed).toBeCalledWith("'retain-task-definition-revisions' must be a positive number");
+    });
+
+    test('tags the task definition and labels its containers with the GitHub metadata', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'tags': 'team=payments\ncost-center=1234',
+                    'tag-with-github-metadata': 'true',
+                    'label-containers-with-github-metadata': 'true'
+                }[input];
+            });
+
+        const originalEnv = process.env;
+        process.env = Object.assign({}, originalEnv, {
+            GITHUB_REPOSITORY: 'octo-org/octo-repo',
+            GITHUB_SHA: 'abc123',
+            GITHUB_REF: 'refs/heads/main',
+            GITHUB_RUN_ID: '42',
+            GITHUB_ACTOR: 'octocat'
+        });
+        fs.readFileSync.mockImplementation(() => JSON.stringify({
+            family: 'task-def-family',
+            tags: [{ key: 'team', value: 'platform' }, { key: 'owner', value: 'ops' }],
+            containerDefinitions: [
+                { name: 'web', image: 'web:1', dockerLabels: { tier: 'frontend' } },
+                { name: 'worker', image: 'worker:1' }
+            ]
+        }));
+
+        await run();
+        process.env = originalEnv;
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+
+        const metadata = {
+            'github.repository': 'octo-org/octo-repo',
+            'github.sha': 'abc123',
+            'github.ref': 'refs/heads/main',
+            'github.run_id': '42',
+            'github.actor': 'octocat'
+        };
+        expect(mockEcsRegisterTaskDef).toHaveBeenNthCalledWith(1, {
+            family: 'task-def-family',
+            tags: [
+                { key: 'owner', value: 'ops' },
+                { key: 'team', value: 'payments' },
+                { key: 'cost-center', value: '1234' },
+                { key: 'github.repository', value: 'octo-org/octo-repo' },
+                { key: 'github.sha', value: 'abc123' },
+                { key: 'github.ref', value: 'refs/heads/main' },
+                { key: 'github.run_id', value: '42' },
+                { key: 'github.actor', value: 'octocat' }
+            ],
+            containerDefinitions: [
+                { name: 'web', image: 'web:1', dockerLabels: Object.assign({ tier: 'frontend' }, metadata) },
+                { name: 'worker', image: 'worker:1', dockerLabels: metadata }
+            ]
+        });
+    });
+
+    test('ignores the GitHub metadata when comparing with the deployed task definition', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'skip-if-unchanged': 'true',
+                    'tag-with-github-metadata': 'true',
+                    'label-containers-with-github-metadata': 'true'
+                }[input];
+            });
+
+        fs.readFileSync.mockImplementation(() => JSON.stringify({
+            family: 'task-def-family',
+            containerDefinitions: [{ name: 'web', image: 'web:1' }]
+        }));
+        mockEcsDescribeTaskDef.mockImplementation(() => Promise.resolve({
+            taskDefinition: {
+                taskDefinitionArn: 'task:def:latest',
+                family: 'task-def-family',
+                containerDefinitions: [{
+                    name: 'web',
+                    image: 'web:1',
+                    dockerLabels: { 'github.sha': 'def456' }
+                }]
+            },
+            tags: [{ key: 'github.sha', value: 'def456' }]
+        }));
+
+        await run();
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+
+        expect(mockEcsRegisterTaskDef).toHaveBeenCalledTimes(0);
+        expect(core.setOutput).toBeCalledWith('deployment-skipped', 'true');
+    });
+
+    test('prints new service events and deployment progress while waiting for the service to be stable', async () => {
+        jest.useFakeTimers();
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'wait-for-service-stability': 'TRUE'
+                }[input];
+            });
+
+        const now = Date.now();
+        const oldEvent = { id: 'event-0', createdAt: new Date(now - 60000), message: 'old event' };
+        const firstEvent = { id: 'event-1', createdAt: new Date(now + 1000), message: 'has started 1 tasks' };
+        const secondEvent = { id: 'event-2', createdAt: new Date(now + 2000), message: 'has reached a steady state' };
+        const inProgressDeployment = { id: 'ecs-svc/1', status: 'PRIMARY', rolloutState: 'IN_PROGRESS', runningCount: 0, pendingCount: 1, desiredCount: 1 };
+        const describeResponses = [
+            { failures: [], services: [{ status: 'ACTIVE' }] },
+            { failures: [], services: [{ status: 'ACTIVE', events: [firstEvent, oldEvent], deployments: [inProgressDeployment] }] },
+            { failures: [], services: [{ status: 'ACTIVE', events: [firstEvent, oldEvent], deployments: [inProgressDeployment] }] },
+            { failures: [], services: [{
+                status: 'ACTIVE',
+                events: [secondEvent, firstEvent, oldEvent],
+                deployments: [
+                    { id: 'ecs-svc/1', status: 'PRIMARY', rolloutState: 'COMPLETED', runningCount: 1, pendingCount: 0, desiredCount: 1 },
+                    { id: 'ecs-svc/0', status: 'ACTIVE', runningCount: 0, pendingCount: 0, desiredCount: 0 }
+                ]
+            }] }
+        ];
+        mockEcsDescribeServices.mockImplementation(() => Promise.resolve(describeResponses.shift()));
+        let resolveWait;
+        waitUntilServicesStable.mockImplementation(() => new Promise(resolve => {
+            resolveWait = resolve;
+        }));
+
+        const runPromise = run();
+        await jest.advanceTimersByTimeAsync(0);
+        await jest.advanceTimersByTimeAsync(15000);
+        await jest.advanceTimersByTimeAsync(15000);
+        resolveWait({});
+        await runPromise;
+        jest.useRealTimers();
+
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+        expect(mockEcsDescribeServices).toHaveBeenCalledTimes(4);
+        const infoMessages = core.info.mock.calls.map(call => call[0]).filter(message => message.startsWith('[service-456]'));
+        expect(infoMessages).toEqual([
+            `[service-456] ${firstEvent.createdAt.toISOString()} has started 1 tasks`,
+            '[service-456] Deployment ecs-svc/1 is IN_PROGRESS: 0 running, 1 pending, 1 desired',
+            `[service-456] ${secondEvent.createdAt.toISOString()} has reached a steady state`,
+            '[service-456] Deployment ecs-svc/1 is COMPLETED: 1 running, 0 pending, 1 desired'
+        ]);
+    });
+
+    test('does not print service events if disabled', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'wait-for-service-stability': 'TRUE',
+                    'show-service-events': 'false'
+                }[input];
+            });
+
+        waitUntilServicesStable.mockImplementation(() => new Promise(resolve => setTimeout(resolve, 10)));
+
+        await run();
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+
+        expect(mockEcsDescribeServices).toHaveBeenCalledTimes(1);
+        expect(waitUntilServicesStable).toHaveBeenCalledTimes(1);
+    });
+
+    test('fails the same way if the service does not become stable while printing service events', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'wait-for-service-stability': 'TRUE'
+                }[input];
+            });
+
+        waitUntilServicesStable.mockImplementation(() => new Promise((resolve, reject) => setTimeout(() => reject(new Error('Waiter timed out')), 10)));
+
+        await run();
+
+        expect(mockEcsDescribeServices).toHaveBeenCalledTimes(2);
+        expect(core.setFailed).toBeCalledWith('Waiter timed out');
+    });
+
+    test('writes a job summary of the deployment', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'deployment-targets': '[{"service": "web", "cluster": "cluster-789"}, {"service": "worker", "cluster": "cluster-789"}]'
+                }[input];
+            });
+
+        const originalRegion = config.region;
+        config.region = () => Promise.resolve('cn-north-1');
+        fs.readFileSync.mockImplementation((pathInput) => {
+            if (pathInput == path.join(process.env.GITHUB_WORKSPACE, 'appspec.yaml')) {
+                return 'Resources: [{ TargetService: { Properties: { TaskDefinition: helloworld } } }]';
+            }
+            return JSON.stringify({
+                family: 'task-def-family',
+                containerDefinitions: [{ name: 'web', image: 'web:1' }, { name: 'sidecar' }]
+            });
+        });
+        mockEcsDescribeServices.mockImplementation(params => Promise.resolve({
+            failures: [],
+            services: [{
+                status: 'ACTIVE',
+                taskDefinition: 'task:def:previous',
+                deploymentController: {
+                    type: params.services[0] == 'worker' ? 'CODE_DEPLOY' : 'ECS'
+                }
+            }]
+        }));
+
+        await run();
+        config.region = originalRegion;
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+
+        expect(core.summary.addTable).toHaveBeenNthCalledWith(1, [
+            [{ data: 'Status', header: true }, 'SUCCEEDED'],
+            [{ data: 'Task definition', header: true }, 'task:def:arn'],
+            [{ data: 'Elapsed time', header: true }, expect.stringMatching(/^\d+s$/)]
+        ]);
+        expect(core.summary.addTable).toHaveBeenNthCalledWith(2, [
+            [
+                { data: 'Cluster', header: true },
+                { data: 'Service', header: true },
+                { data: 'Deployment controller', header: true },
+                { data: 'Previous task definition', header: true },
+                { data: 'Status', header: true },
+                { data: 'Console', header: true }
+            ],
+            ['cluster-789', 'web', 'ECS', 'task:def:previous', 'SUCCEEDED',
+                '<a href="https://cn-north-1.console.amazonaws.cn/ecs/v2/clusters/cluster-789/services/web/events?region=cn-north-1">Amazon ECS console</a>'],
+            ['cluster-789', 'worker', 'CODE_DEPLOY', 'task:def:previous', 'SUCCEEDED',
+                '<a href="https://console.amazonaws.cn/codesuite/codedeploy/deployments/deployment-1?region=cn-north-1">AWS CodeDeploy console</a>']
+        ]);
+        expect(core.summary.addTable).toHaveBeenNthCalledWith(3, [
+            [{ data: 'Container', header: true }, { data: 'Image', header: true }],
+            ['web', 'web:1'],
+            ['sidecar', '-']
+        ]);
+        expect(core.summary.write).toHaveBeenCalledTimes(1);
+    });
+
+    test('writes a job summary if the deployment fails', async () => {
+        const originalRegion = config.region;
+        config.region = () => Promise.resolve('us-east-1');
+        mockEcsUpdateService.mockImplementation(() => Promise.reject(new Error('Service not found')));
+
+        await run();
+        config.region = originalRegion;
+
+        expect(core.setFailed).toBeCalledWith('Service not found');
+        expect(core.summary.addTable).toHaveBeenNthCalledWith(1, [
+            [{ data: 'Status', header: true }, 'FAILED'],
+            [{ data: 'Task definition', header: true }, 'task:def:arn'],
+            [{ data: 'Elapsed time', header: true }, expect.any(String)]
+        ]);
+        expect(core.summary.addCodeBlock).toBeCalledWith('Service not found');
+        expect(core.summary.addTable).toHaveBeenNthCalledWith(2, [
+            expect.any(Array),
+            ['cluster-789', 'service-456', '-', '-', 'FAILED: Service not found',
+                '<a href="https://us-east-1.console.aws.amazon.com/ecs/v2/clusters/cluster-789/services/service-456/events?region=us-east-1">Amazon ECS console</a>']
+        ]);
+        expect(core.summary.write).toHaveBeenCalledTimes(1);
+    });
+
+    test('does not fail if the job summary cannot be written', async () => {
+        core.summary.write = jest.fn(() => Promise.reject(new Error('Unable to find environment variable for $GITHUB_STEP_SUMMARY')));
+
+        await run();
+
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+        expect(core.debug).toBeCalledWith('Unable to write the job summary: Unable to find environment variable for $GITHUB_STEP_SUMMARY');
+    });
+
+    test('waits for the rollout of the deployment to complete', async () => {
+        jest.useFakeTimers();
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'wait-for-service-stability': 'TRUE',
+                    'wait-strategy': 'deployment-rollout',
+                    'show-service-events': 'false'
+                }[input];
+            });
+
+        mockEcsUpdateService.mockImplementation(() => Promise.resolve({
+            service: {
+                deployments: [
+                    { id: 'ecs-svc/2', status: 'PRIMARY', rolloutState: 'IN_PROGRESS' },
+                    { id: 'ecs-svc/1', status: 'ACTIVE', rolloutState: 'COMPLETED' }
+                ]
+            }
+        }));
+        const describeResponses = [
+            { failures: [], services: [{ status: 'ACTIVE' }] },
+            { failures: [], services: [{ status: 'ACTIVE', deployments: [{ id: 'ecs-svc/2', status: 'PRIMARY', rolloutState: 'IN_PROGRESS' }] }] },
+            { failures: [], services: [{ status: 'ACTIVE', deployments: [{ id: 'ecs-svc/2', status: 'PRIMARY', rolloutState: 'COMPLETED' }] }] }
+        ];
+        mockEcsDescribeServices.mockImplementation(() => Promise.resolve(describeResponses.shift()));
+
+        const runPromise = run();
+        await jest.advanceTimersByTimeAsync(15000);
+        await runPromise;
+        jest.useRealTimers();
+
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+        expect(mockEcsDescribeServices).toHaveBeenCalledTimes(3);
+        expect(waitUntilServicesStable).toHaveBeenCalledTimes(0);
+        expect(core.info).toBeCalledWith('Deployment ecs-svc/2 of service service-456 completed');
+    });
+
+    test('fails as soon as the deployment circuit breaker rolls back the deployment', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'wait-for-service-stability': 'TRUE',
+                    'wait-strategy': 'deployment-rollout',
+                    'show-service-events': 'false',
+                    'rollback-on-failure': 'true'
+                }[input];
+            });
+
+        mockEcsUpdateService.mockImplementation(() => Promise.resolve({
+            service: { deployments: [{ id: 'ecs-svc/2', status: 'PRIMARY', rolloutState: 'IN_PROGRESS' }] }
+        }));
+        const describeResponses = [
+            { failures: [], services: [{ status: 'ACTIVE', taskDefinition: 'task:def:previous' }] },
+            { failures: [], services: [{
+                status: 'ACTIVE',
+                deployments: [
+                    { id: 'ecs-svc/3', status: 'PRIMARY', rolloutState: 'IN_PROGRESS', taskDefinition: 'task:def:previous' },
+                    { id: 'ecs-svc/2', status: 'ACTIVE', rolloutState: 'FAILED', rolloutStateReason: 'ECS deployment circuit breaker: tasks failed to start.' }
+                ]
+            }] }
+        ];
+        mockEcsDescribeServices.mockImplementation(() => Promise.resolve(describeResponses.shift()));
+
+        await run();
+
+        expect(mockEcsUpdateService).toHaveBeenCalledTimes(1);
+        expect(core.setOutput).toBeCalledWith('rolled-back-task-definition-arn', 'task:def:previous');
+        expect(core.setFailed).toBeCalledWith('Deployment ecs-svc/2 of service service-456 failed: ECS deployment circuit breaker: tasks failed to start. ECS rolled back the service to task definition task:def:previous');
+    });
+
+    test('fails as soon as the deployment fails without rollback', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'wait-for-service-stability': 'TRUE',
+                    'wait-strategy': 'deployment-rollout',
+                    'show-service-events': 'false'
+                }[input];
+            });
+
+        mockEcsUpdateService.mockImplementation(() => Promise.resolve({
+            service: { deployments: [{ id: 'ecs-svc/2', status: 'PRIMARY', rolloutState: 'IN_PROGRESS' }] }
+        }));
+        const describeResponses = [
+            { failures: [], services: [{ status: 'ACTIVE' }] },
+            { failures: [], services: [{
+                status: 'ACTIVE',
+                deployments: [{ id: 'ecs-svc/2', status: 'PRIMARY', rolloutState: 'FAILED', rolloutStateReason: 'ECS deployment circuit breaker: tasks failed to start.' }]
+            }] }
+        ];
+        mockEcsDescribeServices.mockImplementation(() => Promise.resolve(describeResponses.shift()));
+
+        await run();
+
+        expect(core.setFailed).toBeCalledWith('Deployment ecs-svc/2 of service service-456 failed: ECS deployment circuit breaker: tasks failed to start. ECS did not roll back the service');
+    });
+
+    test('fails if the rollout of the deployment does not complete in time', async () => {
+        jest.useFakeTimers();
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'wait-for-service-stability': 'TRUE',
+                    'wait-for-minutes': '1',
+                    'wait-strategy': 'deployment-rollout',
+                    'show-service-events': 'false'
+                }[input];
+            });
+
+        mockEcsUpdateService.mockImplementation(() => Promise.resolve({
+            service: { deployments: [{ id: 'ecs-svc/2', status: 'PRIMARY', rolloutState: 'IN_PROGRESS' }] }
+        }));
+        mockEcsDescribeServices.mockImplementation(() => Promise.resolve({
+            failures: [],
+            services: [{ status: 'ACTIVE', deployments: [{ id: 'ecs-svc/2', status: 'PRIMARY', rolloutState: 'IN_PROGRESS' }] }]
+        }));
+
+        const runPromise = run();
+        await jest.advanceTimersByTimeAsync(60000);
+        await runPromise;
+        jest.useRealTimers();
+
+        expect(core.setFailed).toBeCalledWith('Deployment ecs-svc/2 of service service-456 did not complete within 1 minutes');
+    });
+
+    test('error is caught if the wait strategy is invalid', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'wait-strategy': 'forever'
+                }[input];
+            });
+
+        await run();
+
+        expect(mockEcsRegisterTaskDef).toHaveBeenCalledTimes(0);
+        expect(core.setFailed).toBeCalledWith("'wait-strategy' must be one of: services-stable, deployment-rollout");
+    });
+
+    test('reports the stopped tasks of the new task definition if the service does not become stable', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'wait-for-service-stability': 'TRUE'
+                }[input];
+            });
+
+        waitUntilServicesStable.mockImplementation(() => Promise.reject(new Error('Waiter timed out')));
+        mockEcsListTasks.mockImplementation(() => Promise.resolve({ taskArns: ['task:1', 'task:2', 'task:old'] }));
+        mockEcsDescribeTasks.mockImplementation(() => Promise.resolve({
+            tasks: [{
+                taskArn: 'task:1',
+                taskDefinitionArn: 'task:def:arn',
+                stopCode: 'TaskFailedToStart',
+                stoppedReason: 'CannotPullContainerError: pull image manifest has been retried 5 time(s)',
+                containers: [{ name: 'web' }]
+            }, {
+                taskArn: 'task:2',
+                taskDefinitionArn: 'task:def:arn',
+                stopCode: 'EssentialContainerExited',
+                stoppedReason: 'Essential container in task exited',
+                containers: [{ name: 'web', exitCode: 1, reason: 'OutOfMemoryError: Container killed due to memory usage' }, { name: 'sidecar', exitCode: 0 }]
+            }, {
+                taskArn: 'task:old',
+                taskDefinitionArn: 'task:def:previous',
+                stoppedReason: 'Scaling activity initiated by deployment'
+            }]
+        }));
+
+        await run();
+
+        expect(mockEcsListTasks).toHaveBeenNthCalledWith(1, {
+            cluster: 'cluster-789',
+            serviceName: 'service-456',
+            desiredStatus: 'STOPPED'
+        });
+        expect(mockEcsDescribeTasks).toHaveBeenNthCalledWith(1, {
+            cluster: 'cluster-789',
+            tasks: ['task:1', 'task:2', 'task:old']
+        });
+        const expectedStoppedTasks = [{
+            taskArn: 'task:1',
+            stopCode: 'TaskFailedToStart',
+            stoppedReason: 'CannotPullContainerError: pull image manifest has been retried 5 time(s)',
+            imagePullError: true,
+            containers: [{ name: 'web' }]
+        }, {
+            taskArn: 'task:2',
+            stopCode: 'EssentialContainerExited',
+            stoppedReason: 'Essential container in task exited',
+            imagePullError: false,
+            containers: [
+                { name: 'web', exitCode: 1, reason: 'OutOfMemoryError: Container killed due to memory usage' },
+                { name: 'sidecar', exitCode: 0 }
+            ]
+        }];
+        expect(core.setOutput).toBeCalledWith('stopped-tasks', JSON.stringify(expectedStoppedTasks));
+        expect(core.setOutput).toBeCalledWith('deployment-results', JSON.stringify([{
+            service: 'service-456',
+            cluster: 'cluster-789',
+            status: 'FAILED',
+            error: 'Waiter timed out',
+            stoppedTasks: expectedStoppedTasks
+        }]));
+        expect(core.error).toBeCalledWith('Task task:1 of service service-456 stopped because its image could not be pulled: CannotPullContainerError: pull image manifest has been retried 5 time(s)');
+        expect(core.error).toBeCalledWith('Task task:2 of service service-456 stopped: Essential container in task exited');
+        expect(core.info).toBeCalledWith('  Container web: exit code none');
+        expect(core.info).toBeCalledWith('  Container web: exit code 1, reason: OutOfMemoryError: Container killed due to memory usage');
+        expect(core.setFailed).toBeCalledWith('Waiter timed out');
+    });
+
+    test('fails with the original error if the stopped tasks cannot be described', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'wait-for-service-stability': 'TRUE'
+                }[input];
+            });
+
+        waitUntilServicesStable.mockImplementation(() => Promise.reject(new Error('Waiter timed out')));
+        mockEcsListTasks.mockImplementation(() => Promise.reject(new Error('Access denied')));
+
+        await run();
+
+        expect(core.debug).toBeCalledWith('Unable to describe the stopped tasks of service service-456: Access denied');
+        expect(core.setOutput).not.toBeCalledWith('stopped-tasks', expect.anything());
+        expect(core.setFailed).toBeCalledWith('Waiter timed out');
+    });
+
+    test('prints the CloudWatch Logs of the failed containers if the service does not become stable', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'wait-for-service-stability': 'TRUE',
+                    'container-log-lines': '20'
+                }[input];
+            });
+        fs.readFileSync.mockImplementation(() => JSON.stringify({
+            family: 'task-def-family',
+            containerDefinitions: [{
+                name: 'web',
+                image: 'nginx:latest',
+                logConfiguration: {
+                    logDriver: 'awslogs',
+                    options: { 'awslogs-group': '/ecs/web', 'awslogs-region': 'fake-region', 'awslogs-stream-prefix': 'ecs' }
+                }
+            }, {
+                name: 'sidecar',
+                image: 'sidecar:latest',
+                logConfiguration: {
+                    logDriver: 'awslogs',
+                    options: { 'awslogs-group': '/ecs/sidecar', 'awslogs-stream-prefix': 'ecs' }
+                }
+            }, {
+                name: 'unprefixed',
+                image: 'unprefixed:latest',
+                logConfiguration: {
+                    logDriver: 'awslogs',
+                    options: { 'awslogs-group': '/ecs/unprefixed' }
+                }
+            }]
+        }));
+
+        waitUntilServicesStable.mockImplementation(() => Promise.reject(new Error('Waiter timed out')));
+        mockEcsListTasks.mockImplementation(() => Promise.resolve({ taskArns: ['arn:aws:ecs:fake-region:1234:task/cluster-789/abc123'] }));
+        mockEcsDescribeTasks.mockImplementation(() => Promise.resolve({
+            tasks: [{
+                taskArn: 'arn:aws:ecs:fake-region:1234:task/cluster-789/abc123',
+                taskDefinitionArn: 'task:def:arn',
+                stoppedReason: 'Essential container in task exited',
+                containers: [{ name: 'web', exitCode: 1 }, { name: 'sidecar', exitCode: 0 }, { name: 'unprefixed', exitCode: 137 }]
+            }]
+        }));
+        mockLogsGetLogEvents.mockImplementation(() => Promise.resolve({
+            events: [
+                { timestamp: Date.UTC(2024, 0, 1, 12, 0, 0), message: 'Starting server' },
+                { timestamp: Date.UTC(2024, 0, 1, 12, 0, 1), message: 'Error: Cannot find module \'express\'' }
+            ]
+        }));
+
+        await run();
+
+        expect(mockLogsGetLogEvents).toHaveBeenCalledTimes(1);
+        expect(mockLogsGetLogEvents).toHaveBeenNthCalledWith(1, {
+            logGroupName: '/ecs/web',
+            logStreamName: 'ecs/web/abc123',
+            limit: 20,
+            startFromHead: false
+        });
+        expect(core.startGroup).toBeCalledWith('Last 20 log lines of container web in task abc123 of service service-456');
+        expect(core.info).toBeCalledWith('2024-01-01T12:00:00.000Z Starting server');
+        expect(core.info).toBeCalledWith('2024-01-01T12:00:01.000Z Error: Cannot find module \'express\'');
+        expect(core.endGroup).toHaveBeenCalledTimes(1);
+        expect(core.debug).toBeCalledWith('Unable to find the log stream of container unprefixed: its log configuration has no \'awslogs-stream-prefix\'');
+        expect(core.setFailed).toBeCalledWith('Waiter timed out');
+    });
+
+    test('fails with the original error if the CloudWatch Logs of a failed container cannot be read', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'wait-for-service-stability': 'TRUE'
+                }[input];
+            });
+        fs.readFileSync.mockImplementation(() => JSON.stringify({
+            family: 'task-def-family',
+            containerDefinitions: [{
+                name: 'web',
+                image: 'nginx:latest',
+                logConfiguration: {
+                    logDriver: 'awslogs',
+                    options: { 'awslogs-group': '/ecs/web', 'awslogs-stream-prefix': 'ecs' }
+                }
+            }]
+        }));
+
+        waitUntilServicesStable.mockImplementation(() => Promise.reject(new Error('Waiter timed out')));
+        mockEcsListTasks.mockImplementation(() => Promise.resolve({ taskArns: ['arn:aws:ecs:fake-region:1234:task/cluster-789/abc123'] }));
+        mockEcsDescribeTasks.mockImplementation(() => Promise.resolve({
+            tasks: [{
+                taskArn: 'arn:aws:ecs:fake-region:1234:task/cluster-789/abc123',
+                taskDefinitionArn: 'task:def:arn',
+                stoppedReason: 'Essential container in task exited',
+                containers: [{ name: 'web', exitCode: 1 }]
+            }]
+        }));
+        mockLogsGetLogEvents.mockImplementation(() => Promise.reject(new Error('The specified log stream does not exist.')));
+
+        await run();
+
+        expect(mockLogsGetLogEvents).toHaveBeenNthCalledWith(1, expect.objectContaining({ limit: 50 }));
+        expect(core.info).toBeCalledWith('Unable to read log stream ecs/web/abc123 of log group /ecs/web: The specified log stream does not exist.');
+        expect(core.endGroup).toHaveBeenCalledTimes(1);
+        expect(core.setFailed).toBeCalledWith('Waiter timed out');
+    });
+
+    test('does not print the CloudWatch Logs of failed containers if container-log-lines is 0', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'wait-for-service-stability': 'TRUE',
+                    'container-log-lines': '0'
+                }[input];
+            });
+
+        waitUntilServicesStable.mockImplementation(() => Promise.reject(new Error('Waiter timed out')));
+
+        await run();
+
+        expect(mockLogsGetLogEvents).toHaveBeenCalledTimes(0);
+        expect(core.setFailed).toBeCalledWith('Waiter timed out');
+    });
+
+    test('error is caught if container-log-lines is not a number', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'container-log-lines': 'many'
+                }[input];
+            });
+
+        await run();
+
+        expect(core.setFailed).toBeCalledWith("'container-log-lines' must be a number greater than or equal to 0");
+        expect(mockEcsRegisterTaskDef).toHaveBeenCalledTimes(0);
+    });
+
+    test('deploys a new task set to a service using the external deployment controller', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'deploy-task-sets': 'true'
+                }[input];
+            });
+        mockEcsDescribeServices.mockImplementation(
+            () => Promise.resolve({
+                failures: [],
+                services: [{
+                    status: 'ACTIVE',
+                    deploymentController: {
+                        type: 'EXTERNAL'
+                    },
+                    taskSets: [{
+                        taskSetArn: 'task-set:primary',
+                        status: 'PRIMARY',
+                        launchType: 'FARGATE',
+                        platformVersion: 'LATEST',
+                        loadBalancers: [{ targetGroupArn: 'target-group:arn', containerName: 'web', containerPort: 80 }],
+                        serviceRegistries: [],
+                        networkConfiguration: { awsvpcConfiguration: { subnets: ['subnet-1'], securityGroups: ['sg-1'] } }
+                    }]
+                }]
+            })
+        );
+        mockEcsCreateTaskSet.mockImplementation(() => Promise.resolve({ taskSet: { taskSetArn: 'task-set:new' } }));
+        mockEcsDescribeTaskSets
+            .mockImplementationOnce(() => Promise.resolve({ taskSets: [{ taskSetArn: 'task-set:new', stabilityStatus: 'STABILIZING' }] }))
+            .mockImplementationOnce(() => Promise.resolve({ taskSets: [{ taskSetArn: 'task-set:new', stabilityStatus: 'STEADY_STATE' }] }));
+        mockEcsUpdateServicePrimaryTaskSet.mockImplementation(() => Promise.resolve({}));
+
+        jest.useFakeTimers();
+        const promise = run();
+        await jest.advanceTimersByTimeAsync(15000);
+        await promise;
+        jest.useRealTimers();
+
+        expect(mockEcsCreateTaskSet).toHaveBeenNthCalledWith(1, {
+            cluster: 'cluster-789',
+            service: 'service-456',
+            taskDefinition: 'task:def:arn',
+            scale: { unit: 'PERCENT', value: 100 },
+            loadBalancers: [{ targetGroupArn: 'target-group:arn', containerName: 'web', containerPort: 80 }],
+            networkConfiguration: { awsvpcConfiguration: { subnets: ['subnet-1'], securityGroups: ['sg-1'] } },
+            launchType: 'FARGATE',
+            platformVersion: 'LATEST'
+        });
+        expect(mockEcsDescribeTaskSets).toHaveBeenCalledTimes(2);
+        expect(mockEcsDescribeTaskSets).toHaveBeenNthCalledWith(1, {
+            cluster: 'cluster-789',
+            service: 'service-456',
+            taskSets: ['task-set:new']
+        });
+        expect(mockEcsUpdateServicePrimaryTaskSet).toHaveBeenNthCalledWith(1, {
+            cluster: 'cluster-789',
+            service: 'service-456',
+            primaryTaskSet: 'task-set:new'
+        });
+        expect(mockEcsUpdateService).toHaveBeenCalledTimes(0);
+        expect(mockEcsUpdateTaskSet).toHaveBeenCalledTimes(0);
+        expect(mockEcsDeleteTaskSet).toHaveBeenCalledTimes(0);
+        expect(core.setOutput).toBeCalledWith('task-set-arn', 'task-set:new');
+        expect(core.setOutput).toBeCalledWith('deployment-results', JSON.stringify([{
+            service: 'service-456',
+            cluster: 'cluster-789',
+            deploymentController: 'EXTERNAL',
+            taskSetArn: 'task-set:new',
+            status: 'SUCCEEDED'
+        }]));
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+    });
+
+    test('scales down and deletes the previous task sets once the new task set is primary', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'deploy-task-sets': 'true',
+                    'delete-previous-task-sets': 'true'
+                }[input];
+            });
+        mockEcsDescribeServices.mockImplementation(
+            () => Promise.resolve({
+                failures: [],
+                services: [{
+                    status: 'ACTIVE',
+                    deploymentController: {
+                        type: 'EXTERNAL'
+                    },
+                    taskSets: [
+                        { taskSetArn: 'task-set:primary', status: 'PRIMARY' },
+                        { taskSetArn: 'task-set:active', status: 'ACTIVE' }
+                    ]
+                }]
+            })
+        );
+        mockEcsCreateTaskSet.mockImplementation(() => Promise.resolve({ taskSet: { taskSetArn: 'task-set:new' } }));
+        mockEcsDescribeTaskSets.mockImplementation(() => Promise.resolve({ taskSets: [{ taskSetArn: 'task-set:new', stabilityStatus: 'STEADY_STATE' }] }));
+        mockEcsUpdateServicePrimaryTaskSet.mockImplementation(() => Promise.resolve({}));
+        mockEcsUpdateTaskSet.mockImplementation(() => Promise.resolve({}));
+        mockEcsDeleteTaskSet.mockImplementation(() => Promise.resolve({}));
+
+        await run();
+
+        expect(mockEcsUpdateTaskSet).toHaveBeenCalledTimes(2);
+        expect(mockEcsUpdateTaskSet).toHaveBeenNthCalledWith(1, {
+            cluster: 'cluster-789',
+            service: 'service-456',
+            taskSet: 'task-set:primary',
+            scale: { unit: 'PERCENT', value: 0 }
+        });
+        expect(mockEcsUpdateTaskSet).toHaveBeenNthCalledWith(2, expect.objectContaining({ taskSet: 'task-set:active' }));
+        expect(mockEcsDeleteTaskSet).toHaveBeenCalledTimes(2);
+        expect(mockEcsDeleteTaskSet).toHaveBeenNthCalledWith(1, {
+            cluster: 'cluster-789',
+            service: 'service-456',
+            taskSet: 'task-set:primary'
+        });
+        expect(mockEcsDeleteTaskSet).toHaveBeenNthCalledWith(2, {
+            cluster: 'cluster-789',
+            service: 'service-456',
+            taskSet: 'task-set:active'
+        });
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+    });
+
+    test('error is caught if the new task set does not reach steady state', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'deploy-task-sets': 'true',
+                    'delete-previous-task-sets': 'true',
+                    'wait-for-minutes': '1'
+                }[input];
+            });
+        mockEcsDescribeServices.mockImplementation(
+            () => Promise.resolve({
+                failures: [],
+                services: [{
+                    status: 'ACTIVE',
+                    deploymentController: {
+                        type: 'EXTERNAL'
+                    },
+                    taskSets: [{ taskSetArn: 'task-set:primary', status: 'PRIMARY' }]
+                }]
+            })
+        );
+        mockEcsCreateTaskSet.mockImplementation(() => Promise.resolve({ taskSet: { taskSetArn: 'task-set:new' } }));
+        mockEcsDescribeTaskSets.mockImplementation(() => Promise.resolve({ taskSets: [{ taskSetArn: 'task-set:new', stabilityStatus: 'STABILIZING' }] }));
+
+        jest.useFakeTimers();
+        const promise = run();
+        await jest.advanceTimersByTimeAsync(75000);
+        await promise;
+        jest.useRealTimers();
+
+        expect(mockEcsUpdateServicePrimaryTaskSet).toHaveBeenCalledTimes(0);
+        expect(mockEcsDeleteTaskSet).toHaveBeenCalledTimes(0);
+        expect(core.setFailed).toBeCalledWith('Task set task-set:new of service service-456 did not reach steady state within 1 minutes');
+    });
+
+    test('updates the service with the deployment strategy and waits for the traffic shifting service deployment', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'wait-for-service-stability': 'TRUE',
+                    'show-service-events': 'false',
+                    'deployment-strategy': 'CANARY',
+                    'bake-time-in-minutes': '15',
+                    'traffic-shift-percent': '10',
+                    'traffic-shift-bake-time-in-minutes': '5',
+                    'deployment-lifecycle-hooks': '[{"hookTargetArn": "lambda:arn", "roleArn": "role:arn", "lifecycleStages": ["POST_TEST_TRAFFIC_SHIFT"]}]'
+                }[input];
+            });
+        mockEcsUpdateService.mockImplementation(() => Promise.resolve({
+            service: {
+                deploymentConfiguration: { strategy: 'CANARY' },
+                currentServiceDeployment: 'service-deployment:arn'
+            }
+        }));
+        mockEcsDescribeServiceDeployments
+            .mockImplementationOnce(() => Promise.resolve({ serviceDeployments: [{ status: 'IN_PROGRESS', lifecycleStage: 'PRODUCTION_TRAFFIC_SHIFT' }] }))
+            .mockImplementationOnce(() => Promise.resolve({ serviceDeployments: [{ status: 'IN_PROGRESS', lifecycleStage: 'BAKE_TIME' }] }))
+            .mockImplementationOnce(() => Promise.resolve({ serviceDeployments: [{ status: 'IN_PROGRESS', lifecycleStage: 'BAKE_TIME' }] }))
+            .mockImplementationOnce(() => Promise.resolve({ serviceDeployments: [{ status: 'SUCCESSFUL', lifecycleStage: 'CLEAN_UP' }] }));
+
+        jest.useFakeTimers();
+        const promise = run();
+        await jest.advanceTimersByTimeAsync(45000);
+        await promise;
+        jest.useRealTimers();
+
+        expect(mockEcsUpdateService).toHaveBeenNthCalledWith(1, {
+            cluster: 'cluster-789',
+            service: 'service-456',
+            taskDefinition: 'task:def:arn',
+            forceNewDeployment: false,
+            deploymentConfiguration: {
+                strategy: 'CANARY',
+                bakeTimeInMinutes: 15,
+                canaryConfiguration: { canaryPercent: 10, canaryBakeTimeInMinutes: 5 },
+                lifecycleHooks: [{ hookTargetArn: 'lambda:arn', roleArn: 'role:arn', lifecycleStages: ['POST_TEST_TRAFFIC_SHIFT'] }]
+            }
+        });
+        expect(mockEcsDescribeServiceDeployments).toHaveBeenCalledTimes(4);
+        expect(mockEcsDescribeServiceDeployments).toHaveBeenNthCalledWith(1, { serviceDeploymentArns: ['service-deployment:arn'] });
+        expect(waitUntilServicesStable).toHaveBeenCalledTimes(0);
+        expect(core.info).toBeCalledWith('Service deployment service-deployment:arn of service service-456 is in stage PRODUCTION_TRAFFIC_SHIFT');
+        expect(core.info).toBeCalledWith('Service deployment service-deployment:arn of service service-456 is in stage BAKE_TIME');
+        expect(core.info).toBeCalledWith('Service deployment service-deployment:arn of service service-456 is in stage CLEAN_UP');
+        expect(core.info.mock.calls.filter(call => call[0].endsWith('is in stage BAKE_TIME'))).toHaveLength(1);
+        expect(core.info).toBeCalledWith('Service deployment service-deployment:arn of service service-456 succeeded');
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+    });
+
+    test('sets the linear configuration for a LINEAR deployment strategy', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'deployment-strategy': 'LINEAR',
+                    'traffic-shift-percent': '25'
+                }[input];
+            });
+
+        await run();
+
+        expect(mockEcsUpdateService).toHaveBeenNthCalledWith(1, expect.objectContaining({
+            deploymentConfiguration: {
+                strategy: 'LINEAR',
+                linearConfiguration: { stepPercent: 25 }
+            }
+        }));
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+    });
+
+    test('error is caught if ECS rolls back a traffic shifting service deployment', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'wait-for-service-stability': 'TRUE',
+                    'show-service-events': 'false',
+                    'rollback-on-failure': 'true',
+                    'deployment-strategy': 'BLUE_GREEN'
+                }[input];
+            });
+        mockEcsDescribeServices.mockImplementation(() => Promise.resolve({
+            failures: [],
+            services: [{ status: 'ACTIVE', taskDefinition: 'task:def:previous' }]
+        }));
+        mockEcsUpdateService.mockImplementation(() => Promise.resolve({
+            service: {
+                deploymentConfiguration: { strategy: 'BLUE_GREEN' },
+                currentServiceDeployment: 'service-deployment:arn'
+            }
+        }));
+        mockEcsDescribeServiceDeployments.mockImplementation(() => Promise.resolve({
+            serviceDeployments: [{
+                status: 'ROLLBACK_IN_PROGRESS',
+                lifecycleStage: 'POST_TEST_TRAFFIC_SHIFT',
+                rollback: { reason: 'Lifecycle hook lambda:arn failed.', serviceRevisionArn: 'service-revision:previous' }
+            }]
+        }));
+        mockEcsDescribeServiceRevisions.mockImplementation(() => Promise.resolve({
+            serviceRevisions: [{ serviceRevisionArn: 'service-revision:previous', taskDefinition: 'task:def:previous' }]
+        }));
+
+        await run();
+
+        expect(mockEcsDescribeServiceRevisions).toHaveBeenNthCalledWith(1, { serviceRevisionArns: ['service-revision:previous'] });
+        expect(mockEcsUpdateService).toHaveBeenCalledTimes(1);
+        expect(core.setOutput).toBeCalledWith('rolled-back-task-definition-arn', 'task:def:previous');
+        expect(core.setFailed).toBeCalledWith('Service deployment service-deployment:arn of service service-456 failed: Lifecycle hook lambda:arn failed. ECS rolled back the service to task definition task:def:previous');
+    });
+
+    test('waits for the service to become stable if the service uses the rolling deployment strategy', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'wait-for-service-stability': 'TRUE',
+                    'show-service-events': 'false'
+                }[input];
+            });
+        mockEcsUpdateService.mockImplementation(() => Promise.resolve({
+            service: {
+                deploymentConfiguration: { strategy: 'ROLLING' },
+                currentServiceDeployment: 'service-deployment:arn'
+            }
+        }));
+
+        await run();
+
+        expect(mockEcsDescribeServiceDeployments).toHaveBeenCalledTimes(0);
+        expect(waitUntilServicesStable).toHaveBeenCalledTimes(1);
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+    });
+
+    test('error is caught if the deployment strategy options are invalid', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'deployment-strategy': 'BLUE_GREEN',
+                    'traffic-shift-percent': '10'
+                }[input];
+            });
+
+        await run();
+
+        expect(core.setFailed).toBeCalledWith("'traffic-shift-percent' and 'traffic-shift-bake-time-in-minutes' require a LINEAR or CANARY 'deployment-strategy'");
+
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'deployment-strategy': 'RED_BLACK'
+                }[input];
+            });
+
+        await run();
+
+        expect(core.setFailed).toBeCalledWith("'deployment-strategy' must be one of: ROLLING, BLUE_GREEN, LINEAR, CANARY");
+
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'bake-time-in-minutes': 'ten'
+                }[input];
+            });
+
+        await run();
+
+        expect(core.setFailed).toBeCalledWith("'bake-time-in-minutes' must be a number between 0 and 1440");
+        expect(mockEcsRegisterTaskDef).toHaveBeenCalledTimes(0);
+    });
+
+    test('updates the service with the deployment configuration inputs', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'minimum-healthy-percent': '50',
+                    'maximum-percent': '150',
+                    'deployment-circuit-breaker-enable': 'true',
+                    'deployment-circuit-breaker-rollback': 'TRUE',
+                    'deployment-alarms': 'service-5xx-errors,\nservice-latency\n',
+                    'deployment-alarms-rollback': 'true'
+                }[input];
+            });
+
+        await run();
+
+        expect(mockEcsUpdateService).toHaveBeenNthCalledWith(1, {
+            cluster: 'cluster-789',
+            service: 'service-456',
+            taskDefinition: 'task:def:arn',
+            forceNewDeployment: false,
+            deploymentConfiguration: {
+                minimumHealthyPercent: 50,
+                maximumPercent: 150,
+                deploymentCircuitBreaker: { enable: true, rollback: true },
+                alarms: { alarmNames: ['service-5xx-errors', 'service-latency'], enable: true, rollback: true }
+            }
+        });
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+    });
+
+    test('passes only the deployment configuration inputs that are provided', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'deployment-circuit-breaker-enable': 'false'
+                }[input];
+            });
+
+        await run();
+
+        expect(mockEcsUpdateService).toHaveBeenNthCalledWith(1, {
+            cluster: 'cluster-789',
+            service: 'service-456',
+            taskDefinition: 'task:def:arn',
+            forceNewDeployment: false,
+            deploymentConfiguration: {
+                deploymentCircuitBreaker: { enable: false, rollback: false }
+            }
+        });
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+    });
+
+    test('error is caught if the deployment configuration inputs cannot work together', async () => {
+        const invalidInputs = [
+            [{ 'minimum-healthy-percent': '100', 'maximum-percent': '100' }, "'maximum-percent' must be greater than 'minimum-healthy-percent' for ECS to be able to replace tasks"],
+            [{ 'minimum-healthy-percent': '150' }, "'minimum-healthy-percent' must be a number between 0 and 100"],
+            [{ 'maximum-percent': '-1' }, "'maximum-percent' must be a number greater than or equal to 0"],
+            [{ 'deployment-circuit-breaker-rollback': 'true' }, "'deployment-circuit-breaker-rollback' requires 'deployment-circuit-breaker-enable'"],
+            [{ 'deployment-alarms': 'alarm', 'deployment-alarms-enable': 'false', 'deployment-alarms-rollback': 'true' }, "'deployment-alarms-rollback' requires 'deployment-alarms-enable'"],
+            [{ 'deployment-alarms-enable': 'true' }, "'deployment-alarms-enable' and 'deployment-alarms-rollback' require 'deployment-alarms'"]
+        ];
+
+        for (const [inputs, expectedError] of invalidInputs) {
+            core.getInput = jest
+                .fn(input => {
+                    return Object.assign({
+                        'task-definition': 'task-definition.json',
+                        'service': 'service-456',
+                        'cluster': 'cluster-789'
+                    }, inputs)[input];
+                });
+
+            await run();
+
+            expect(core.setFailed).toBeCalledWith(expectedError);
+        }
+        expect(core.setFailed).toHaveBeenCalledTimes(invalidInputs.length);
+        expect(mockEcsRegisterTaskDef).toHaveBeenCalledTimes(0);
+    });
+
+    test('updates the service with the inline capacity provider strategy, network configuration and platform version', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'capacity-provider-strategy': '- capacityProvider: FARGATE_SPOT\n  weight: 1\n',
+                    'network-configuration': '{"subnets": ["subnet-1"], "securityGroups": ["sg-1"], "assignPublicIp": "DISABLED"}',
+                    'platform-version': '1.4.0'
+                }[input];
+            });
+
+        await run();
+
+        expect(mockEcsUpdateService).toHaveBeenNthCalledWith(1, {
+            cluster: 'cluster-789',
+            service: 'service-456',
+            taskDefinition: 'task:def:arn',
+            forceNewDeployment: false,
+            capacityProviderStrategy: [{ capacityProvider: 'FARGATE_SPOT', weight: 1 }],
+            networkConfiguration: {
+                awsvpcConfiguration: { subnets: ['subnet-1'], securityGroups: ['sg-1'], assignPublicIp: 'DISABLED' }
+            },
+            platformVersion: '1.4.0'
+        });
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+    });
+
+    test('reads the network configuration from a file', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'network-configuration': 'network-configuration.yaml'
+                }[input];
+            });
+        fs.readFileSync.mockImplementation((pathInput) => {
+            if (pathInput == path.join(process.env.GITHUB_WORKSPACE, 'network-configuration.yaml')) {
+                return 'awsvpcConfiguration:\n  subnets:\n    - subnet-2\n  assignPublicIp: ENABLED\n';
+            }
+            return JSON.stringify({ family: 'task-def-family' });
+        });
+
+        await run();
+
+        expect(mockEcsUpdateService).toHaveBeenNthCalledWith(1, expect.objectContaining({
+            networkConfiguration: {
+                awsvpcConfiguration: { subnets: ['subnet-2'], assignPublicIp: 'ENABLED' }
+            }
+        }));
+        expect(mockEcsUpdateService.mock.calls[0][0]).not.toHaveProperty('capacityProviderStrategy');
+        expect(mockEcsUpdateService.mock.calls[0][0]).not.toHaveProperty('platformVersion');
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+    });
+
+    test('error is caught if the capacity provider strategy is not a list', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'capacity-provider-strategy': '{"capacityProvider": "FARGATE_SPOT"}'
+                }[input];
+            });
+
+        await run();
+
+        expect(core.setFailed).toBeCalledWith("'capacity-provider-strategy' must be a JSON or YAML list of capacity providers");
+        expect(mockEcsRegisterTaskDef).toHaveBeenCalledTimes(0);
+    });
+
+    test('creates the service from the service definition file if it does not exist', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'wait-for-service-stability': 'TRUE',
+                    'show-service-events': 'false',
+                    'service-definition': 'service-definition.yaml',
+                    'platform-version': '1.4.0'
+                }[input];
+            });
+        fs.readFileSync.mockImplementation((pathInput) => {
+            if (pathInput == path.join(process.env.GITHUB_WORKSPACE, 'service-definition.yaml')) {
+                return `
+                serviceName: ignored-service
+                desiredCount: 2
+                launchType: FARGATE
+                loadBalancers: []
+                deploymentConfiguration:
+                  maximumPercent: 200
+                networkConfiguration:
+                  awsvpcConfiguration:
+                    subnets:
+                      - subnet-1
+                    securityGroups: null`;
+            }
+            return JSON.stringify({ family: 'task-def-family' });
+        });
+        mockEcsDescribeServices.mockImplementation(() => Promise.resolve({
+            failures: [{ arn: 'arn:aws:ecs:fake-region:1234:service/cluster-789/service-456', reason: 'MISSING' }],
+            services: []
+        }));
+        mockEcsCreateService.mockImplementation(() => Promise.resolve({
+            service: { deployments: [{ id: 'ecs-svc/1', status: 'PRIMARY' }] }
+        }));
+
+        await run();
+
+        expect(mockEcsCreateService).toHaveBeenNthCalledWith(1, {
+            cluster: 'cluster-789',
+            serviceName: 'service-456',
+            taskDefinition: 'task:def:arn',
+            desiredCount: 2,
+            launchType: 'FARGATE',
+            deploymentConfiguration: { maximumPercent: 200 },
+            networkConfiguration: { awsvpcConfiguration: { subnets: ['subnet-1'] } },
+            platformVersion: '1.4.0'
+        });
+        expect(mockEcsUpdateService).toHaveBeenCalledTimes(0);
+        expect(waitUntilServicesStable).toHaveBeenNthCalledWith(
+            1,
+            {
+                client: mockEcsClient,
+                minDelay: 15,
+                maxWaitTime: EXPECTED_DEFAULT_WAIT_TIME * 60,
+            },
+            {
+                services: ['service-456'],
+                cluster: 'cluster-789',
+            }
+        );
+        expect(core.info).toBeCalledWith('Created service service-456 in cluster cluster-789');
+        expect(core.setOutput).toBeCalledWith('deployment-results', JSON.stringify([{
+            service: 'service-456',
+            cluster: 'cluster-789',
+            deploymentController: 'ECS',
+            serviceCreated: true,
+            status: 'SUCCEEDED'
+        }]));
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+    });
+
+    test('updates the service as usual if it exists and a service definition file is given', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'service-definition': 'service-definition.yaml'
+                }[input];
+            });
+        fs.readFileSync.mockImplementation((pathInput) => {
+            if (pathInput == path.join(process.env.GITHUB_WORKSPACE, 'service-definition.yaml')) {
+                return 'desiredCount: 2\n';
+            }
+            return JSON.stringify({ family: 'task-def-family' });
+        });
+
+        await run();
+
+        expect(mockEcsCreateService).toHaveBeenCalledTimes(0);
+        expect(mockEcsUpdateService).toHaveBeenNthCalledWith(1, {
+            cluster: 'cluster-789',
+            service: 'service-456',
+            taskDefinition: 'task:def:arn',
+            forceNewDeployment: false
+        });
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+    });
+
+    test('error is caught if the task definition is not valid, reporting every problem with its JSON path', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'validate-task-definition': 'true'
+                }[input];
+            });
+        fs.readFileSync.mockImplementation(() => JSON.stringify({
+            requiresCompatibilities: ['FARGATE'],
+            cpu: '256',
+            memory: '4096',
+            containerDefinitions: [{
+                name: 'web',
+                image: 'nginx:latest',
+                cpu: '128',
+                portMapings: [{ containerPort: 80 }],
+                dockerLabels: { team: 42 },
+                dependsOn: [{ containerName: 'database', condition: 'HEALTHY' }]
+            }, {
+                name: 'web',
+                image: 'sidecar:latest',
+                essential: 'false'
+            }, {
+                essential: false
+            }]
+        }));
+
+        await run();
+
+        expect(core.setFailed).toBeCalledWith([
+            'The task definition is not valid, found 10 problem(s):',
+            '$.containerDefinitions[0].cpu: expected a number, got a string',
+            '$.containerDefinitions[0].portMapings: unknown property',
+            '$.containerDefinitions[0].dockerLabels.team: expected a string, got a number',
+            '$.containerDefinitions[1].essential: expected a boolean, got a string',
+            '$.containerDefinitions[2].name: missing required property',
+            '$.containerDefinitions[2].image: missing required property',
+            '$.family: missing required property',
+            '$.memory: 4096 is not supported by Fargate with 256 CPU units, use 512, 1024, 2048 MiB',
+            '$.containerDefinitions[1].name: duplicate container name \'web\', also used by $.containerDefinitions[0]',
+            '$.containerDefinitions[0].dependsOn[0].containerName: container \'database\' is not defined in the task definition'
+        ].join('\n'));
+        expect(mockEcsRegisterTaskDef).toHaveBeenCalledTimes(0);
+    });
+
+    test('validates the task CPU and memory of Fargate task definitions', async () => {
+        const taskSizes = [
+            [{ cpu: '1 vCPU', memory: '3 GB' }, undefined],
+            [{ cpu: 4096, memory: 30720 }, undefined],
+            [{ cpu: '8192', memory: '18432' }, '$.memory: 18432 is not supported by Fargate with 8192 CPU units, use 16384 to 61440 in increments of 4096 MiB'],
+            [{ cpu: '300', memory: '1024' }, '$.cpu: 300 is not supported by Fargate, use one of 256, 512, 1024, 2048, 4096, 8192, 16384 CPU units'],
+            [{ memory: '1024' }, '$.cpu: Fargate task definitions require a task-level cpu and memory']
+        ];
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'validate-task-definition': 'true'
+                }[input];
+            });
+
+        for (const [taskSize, expectedProblem] of taskSizes) {
+            core.setFailed.mockClear();
+            fs.readFileSync.mockImplementation(() => JSON.stringify(Object.assign({
+                family: 'task-def-family',
+                requiresCompatibilities: ['FARGATE'],
+                networkMode: 'awsvpc',
+                containerDefinitions: [{ name: 'web', image: 'nginx:latest' }]
+            }, taskSize)));
+
+            await run();
+
+            if (expectedProblem) {
+                expect(core.setFailed).toBeCalledWith(`The task definition is not valid, found 1 problem(s):\n${expectedProblem}`);
+            } else {
+                expect(core.setFailed).toHaveBeenCalledTimes(0);
+            }
+        }
+    });
+
+    test('registers the task definition without validating it by default', async () => {
+        fs.readFileSync.mockImplementation(() => JSON.stringify({
+            family: 'task-def-family',
+            containerDefinitions: [{ name: 'web', image: 'nginx:latest', newlyAddedParameter: true }]
+        }));
+
+        await run();
+
+        expect(mockEcsRegisterTaskDef).toHaveBeenCalledTimes(1);
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+    });
+
+    test('merges task definition overlays into the base task definition', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json\nenvironments/production.yaml\n\n/absolute/override.json\n',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789'
+                }[input];
+            });
+        fs.readFileSync.mockImplementation((pathInput) => {
+            if (pathInput == path.join(process.env.GITHUB_WORKSPACE, 'task-definition.json')) {
+                return JSON.stringify({
+                    family: 'task-def-family',
+                    cpu: '256',
+                    memory: '512',
+                    containerDefinitions: [{
+                        name: 'web',
+                        image: 'web:latest',
+                        memory: 512,
+                        command: ['serve', '--debug'],
+                        environment: [{ name: 'LOG_LEVEL', value: 'debug' }, { name: 'DEBUG', value: 'true' }],
+                        secrets: [{ name: 'DB_PASSWORD', valueFrom: 'dev/db' }]
+                    }, {
+                        name: 'debug-proxy',
+                        image: 'proxy:latest'
+                    }],
+                    tags: [{ key: 'environment', value: 'dev' }]
+                });
+            }
+            if (pathInput == path.join(process.env.GITHUB_WORKSPACE, 'environments/production.yaml')) {
+                return `
+                memory: '1024'
+                containerDefinitions:
+                  - name: web
+                    memory: 1024
+                    command: [serve]
+                    environment:
+                      - name: LOG_LEVEL
+                        value: warn
+                      - name: DEBUG
+                        $delete: true
+                      - name: REGION
+                        value: us-east-1
+                    secrets:
+                      - name: DB_PASSWORD
+                        valueFrom: prod/db
+                  - name: debug-proxy
+                    $delete: true
+                  - name: log-router
+                    image: fluent-bit:latest
+                tags:
+                  $delete: true`;
+            }
+            if (pathInput == '/absolute/override.json') {
+                return JSON.stringify({ cpu: '512' });
+            }
+            throw new Error(`Unexpected file ${pathInput}`);
+        });
+
+        await run();
+
+        const expectedTaskDef = {
+            family: 'task-def-family',
+            cpu: '512',
+            memory: '1024',
+            containerDefinitions: [{
+                name: 'web',
+                image: 'web:latest',
+                memory: 1024,
+                command: ['serve'],
+                environment: [{ name: 'LOG_LEVEL', value: 'warn' }, { name: 'REGION', value: 'us-east-1' }],
+                secrets: [{ name: 'DB_PASSWORD', valueFrom: 'prod/db' }]
+            }, {
+                name: 'log-router',
+                image: 'fluent-bit:latest'
+            }]
+        };
+        expect(mockEcsRegisterTaskDef).toHaveBeenNthCalledWith(1, expectedTaskDef);
+        expect(core.debug).toBeCalledWith('Task definition after merging 2 overlay file(s):');
+        expect(core.debug).toBeCalledWith(JSON.stringify(expectedTaskDef, undefined, 4));
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+    });
+
+    test('does not print the merged task definition without overlays', async () => {
+        await run();
+
+        expect(core.debug).not.toBeCalledWith(expect.stringMatching(/^Task definition after merging/));
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+    });
+
+    test('adds environment variables and secrets from files to the named containers', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'environment-files': 'web=config/production.env',
+                    'secrets-files': 'web=config/secrets.json'
+                }[input];
+            });
+        fs.readFileSync.mockImplementation((pathInput) => {
+            if (pathInput == path.join(process.env.GITHUB_WORKSPACE, 'config/production.env')) {
+                return [
+                    '# Production settings',
+                    'LOG_LEVEL=warn',
+                    'export REGION = us-east-1',
+                    'GREETING="Hello\\nWorld"',
+                    "QUOTED='single # quoted' # comment",
+                    'COMMENTED=a # comment',
+                    'FRAGMENT=https://example.com/#anchor',
+                    'EMPTY=',
+                    ''
+                ].join('\n');
+            }
+            if (pathInput == path.join(process.env.GITHUB_WORKSPACE, 'config/secrets.json')) {
+                return JSON.stringify({ DB_PASSWORD: 'arn:aws:secretsmanager:fake-region:1234:secret:db' });
+            }
+            return JSON.stringify({
+                family: 'task-def-family',
+                containerDefinitions: [{
+                    name: 'web',
+                    image: 'web:latest',
+                    environment: [{ name: 'LOG_LEVEL', value: 'debug' }, { name: 'PORT', value: '80' }]
+                }, {
+                    name: 'sidecar',
+                    image: 'sidecar:latest'
+                }]
+            });
+        });
+
+        await run();
+
+        expect(mockEcsRegisterTaskDef).toHaveBeenNthCalledWith(1, {
+            family: 'task-def-family',
+            containerDefinitions: [{
+                name: 'web',
+                image: 'web:latest',
+                environment: [
+                    { name: 'LOG_LEVEL', value: 'warn' },
+                    { name: 'PORT', value: '80' },
+                    { name: 'REGION', value: 'us-east-1' },
+                    { name: 'GREETING', value: 'Hello\nWorld' },
+                    { name: 'QUOTED', value: 'single # quoted' },
+                    { name: 'COMMENTED', value: 'a' },
+                    { name: 'FRAGMENT', value: 'https://example.com/#anchor' },
+                    { name: 'EMPTY', value: '' }
+                ],
+                secrets: [{ name: 'DB_PASSWORD', valueFrom: 'arn:aws:secretsmanager:fake-region:1234:secret:db' }]
+            }, {
+                name: 'sidecar',
+                image: 'sidecar:latest'
+            }]
+        });
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+    });
+
+    test('applies the override policy to variables already defined by the container', async () => {
+        fs.readFileSync.mockImplementation((pathInput) => {
+            if (pathInput == path.join(process.env.GITHUB_WORKSPACE, 'production.json')) {
+                return JSON.stringify({ LOG_LEVEL: 'warn', WORKERS: 4, VERBOSE: null });
+            }
+            return JSON.stringify({
+                family: 'task-def-family',
+                containerDefinitions: [{
+                    name: 'web',
+                    image: 'web:latest',
+                    environment: [{ name: 'LOG_LEVEL', value: 'debug' }]
+                }]
+            });
+        });
+
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'environment-files': 'web=production.json',
+                    'environment-files-override-policy': 'keep'
+                }[input];
+            });
+
+        await run();
+
+        expect(mockEcsRegisterTaskDef).toHaveBeenNthCalledWith(1, expect.objectContaining({
+            containerDefinitions: [{
+                name: 'web',
+                image: 'web:latest',
+                environment: [
+                    { name: 'LOG_LEVEL', value: 'debug' },
+                    { name: 'WORKERS', value: '4' },
+                    { name: 'VERBOSE', value: '' }
+                ]
+            }]
+        }));
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'environment-files': 'web=production.json',
+                    'environment-files-override-policy': 'fail'
+                }[input];
+            });
+
+        await run();
+
+        expect(core.setFailed).toBeCalledWith("'LOG_LEVEL' of container web is defined in both the task definition and production.json");
+        expect(mockEcsRegisterTaskDef).toHaveBeenCalledTimes(1);
+    });
+
+    test('error is caught if an environment file names an unknown container', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'secrets-files': 'worker=secrets.env'
+                }[input];
+            });
+
+        await run();
+
+        expect(core.setFailed).toBeCalledWith("Containers in 'secrets-files' not found in the task definition: worker");
+        expect(mockEcsRegisterTaskDef).toHaveBeenCalledTimes(0);
+    });
+
+    test('error is caught if the environment files override policy is invalid', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'environment-files-override-policy': 'merge'
+                }[input];
+            });
+
+        await run();
+
+        expect(core.setFailed).toBeCalledWith("'environment-files-override-policy' must be one of: override, keep, fail");
+        expect(mockEcsRegisterTaskDef).toHaveBeenCalledTimes(0);
+    });
+
+    test('resolves ECR image tags to digests before registering the task definition', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'resolve-image-digests': 'true'
+                }[input];
+            });
+        fs.readFileSync.mockImplementation(() => JSON.stringify({
+            family: 'task-def-family',
+            containerDefinitions: [{
+                name: 'web',
+                image: '123456789012.dkr.ecr.us-east-1.amazonaws.com/team/web:v1.2.3',
+                dockerLabels: { team: 'web' }
+            }, {
+                name: 'worker',
+                image: '123456789012.dkr.ecr.eu-west-1.amazonaws.com/worker'
+            }, {
+                name: 'pinned',
+                image: '123456789012.dkr.ecr.us-east-1.amazonaws.com/pinned@sha256:aaaa'
+            }, {
+                name: 'log-router',
+                image: 'public.ecr.aws/aws-observability/aws-for-fluent-bit:stable'
+            }]
+        }));
+        mockEcrDescribeImages
+            .mockImplementationOnce(() => Promise.resolve({ imageDetails: [{ imageDigest: 'sha256:1111' }] }))
+            .mockImplementationOnce(() => Promise.resolve({ imageDetails: [{ imageDigest: 'sha256:2222' }] }));
+
+        await run();
+
+        expect(ECR).toHaveBeenCalledTimes(2);
+        expect(ECR).toHaveBeenNthCalledWith(1, expect.objectContaining({ region: 'us-east-1' }));
+        expect(ECR).toHaveBeenNthCalledWith(2, expect.objectContaining({ region: 'eu-west-1' }));
+        expect(mockEcrDescribeImages).toHaveBeenNthCalledWith(1, {
+            registryId: '123456789012',
+            repositoryName: 'team/web',
+            imageIds: [{ imageTag: 'v1.2.3' }]
+        });
+        expect(mockEcrDescribeImages).toHaveBeenNthCalledWith(2, {
+            registryId: '123456789012',
+            repositoryName: 'worker',
+            imageIds: [{ imageTag: 'latest' }]
+        });
+        expect(mockEcsRegisterTaskDef).toHaveBeenNthCalledWith(1, {
+            family: 'task-def-family',
+            containerDefinitions: [{
+                name: 'web',
+                image: '123456789012.dkr.ecr.us-east-1.amazonaws.com/team/web@sha256:1111',
+                dockerLabels: { team: 'web', 'image.original': '123456789012.dkr.ecr.us-east-1.amazonaws.com/team/web:v1.2.3' }
+            }, {
+                name: 'worker',
+                image: '123456789012.dkr.ecr.eu-west-1.amazonaws.com/worker@sha256:2222',
+                dockerLabels: { 'image.original': '123456789012.dkr.ecr.eu-west-1.amazonaws.com/worker' }
+            }, {
+                name: 'pinned',
+                image: '123456789012.dkr.ecr.us-east-1.amazonaws.com/pinned@sha256:aaaa'
+            }, {
+                name: 'log-router',
+                image: 'public.ecr.aws/aws-observability/aws-for-fluent-bit:stable'
+            }]
+        });
+        expect(core.info).toBeCalledWith('Resolved the image of container web from 123456789012.dkr.ecr.us-east-1.amazonaws.com/team/web:v1.2.3 to 123456789012.dkr.ecr.us-east-1.amazonaws.com/team/web@sha256:1111');
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+    });
+
+    test('error is caught if an image to resolve does not exist', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'resolve-image-digests': 'true'
+                }[input];
+            });
+        fs.readFileSync.mockImplementation(() => JSON.stringify({
+            family: 'task-def-family',
+            containerDefinitions: [{ name: 'web', image: '123456789012.dkr.ecr.us-east-1.amazonaws.com/web:missing' }]
+        }));
+        mockEcrDescribeImages.mockImplementation(() => Promise.reject(new Error("The image with imageId {imageTag:'missing'} does not exist within the repository with name 'web'")));
+
+        await run();
+
+        expect(core.setFailed).toBeCalledWith("Unable to resolve the image 123456789012.dkr.ecr.us-east-1.amazonaws.com/web:missing of container web: The image with imageId {imageTag:'missing'} does not exist within the repository with name 'web'");
+        expect(mockEcsRegisterTaskDef).toHaveBeenCalledTimes(0);
+    });
+
+    test('does not resolve image digests by default', async () => {
+        fs.readFileSync.mockImplementation(() => JSON.stringify({
+            family: 'task-def-family',
+            containerDefinitions: [{ name: 'web', image: '123456789012.dkr.ecr.us-east-1.amazonaws.com/web:latest' }]
+        }));
+
+        await run();
+
+        expect(mockEcrDescribeImages).toHaveBeenCalledTimes(0);
+        expect(mockEcsRegisterTaskDef).toHaveBeenNthCalledWith(1, {
+            family: 'task-def-family',
+            containerDefinitions: [{ name: 'web', image: '123456789012.dkr.ecr.us-east-1.amazonaws.com/web:latest' }]
+        });
+    });
+
+    test('reports lint findings of the task definition as warnings by default', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'lint-task-definition': 'true'
+                }[input];
+            });
+        fs.readFileSync.mockImplementation(() => JSON.stringify({
+            family: 'task-def-family',
+            containerDefinitions: [{
+                name: 'web',
+                image: '111122223333.dkr.ecr.us-east-1.amazonaws.com/web',
+                privileged: true,
+                environment: [{ name: 'DB_PASSWORD', value: 'hunter2' }, { name: 'API_TOKEN', value: '' }, { name: 'LOG_LEVEL', value: 'info' }]
+            }, {
+                name: 'sidecar',
+                image: 'sidecar@sha256:abc',
+                essential: false,
+                memory: 128,
+                readonlyRootFilesystem: true,
+                logConfiguration: { logDriver: 'awslogs' }
+            }]
+        }));
+
+        await run();
+
+        expect(core.warning.mock.calls.map(call => call[0])).toEqual([
+            'Container web uses the image 111122223333.dkr.ecr.us-east-1.amazonaws.com/web without a tag, pin a specific tag or digest (image-tag)',
+            'Container web has no logConfiguration, its logs will not be kept (log-configuration)',
+            'Container web runs in privileged mode (privileged)',
+            'Essential container web has no healthCheck (health-check)',
+            'Environment variable DB_PASSWORD of container web looks like a secret, use \'secrets\' instead (plaintext-secrets)',
+            'Container web sets neither memory nor memoryReservation, and the task has no task-level memory (memory)',
+            'Container web does not use a read-only root filesystem (readonly-root-filesystem)'
+        ]);
+        expect(core.error).toHaveBeenCalledTimes(0);
+        expect(mockEcsRegisterTaskDef).toHaveBeenCalledTimes(1);
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+    });
+
+    test('fails before registering the task definition if a lint rule set to error has findings', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'lint-task-definition': 'true',
+                    'lint-rules': 'image-tag=error\n# rules for later\nlog-configuration = off\nhealth-check=off\nmemory=off\nreadonly-root-filesystem=warn\n'
+                }[input];
+            });
+        fs.readFileSync.mockImplementation(() => JSON.stringify({
+            family: 'task-def-family',
+            memory: '512',
+            containerDefinitions: [
+                { name: 'web', image: 'nginx:latest' },
+                { name: 'worker', image: 'registry.example.com:5000/worker:1.4.2', readonlyRootFilesystem: true }
+            ]
+        }));
+
+        await run();
+
+        expect(core.error).toHaveBeenNthCalledWith(1, 'Container web uses the image nginx:latest, pin a specific tag or digest (image-tag)');
+        expect(core.error).toHaveBeenCalledTimes(1);
+        expect(core.warning).toHaveBeenNthCalledWith(1, 'Container web does not use a read-only root filesystem (readonly-root-filesystem)');
+        expect(core.warning).toHaveBeenCalledTimes(1);
+        expect(core.setFailed).toBeCalledWith('The task definition has 1 lint error(s)');
+        expect(mockEcsRegisterTaskDef).toHaveBeenCalledTimes(0);
+    });
+
+    test('error is caught if the lint rules are not valid', async () => {
+        const lintRules = [
+            ['image-tags=error', 'Unknown lint rule \'image-tags\', expected one of: image-tag, log-configuration, privileged, health-check, plaintext-secrets, memory, readonly-root-filesystem'],
+            ['privileged=fatal', 'Invalid severity \'fatal\' for lint rule \'privileged\', expected one of: off, warn, error'],
+            ['privileged', 'Invalid lint rule \'privileged\', expected \'rule=severity\'']
+        ];
+
+        for (const [rules, expectedError] of lintRules) {
+            core.setFailed.mockClear();
+            core.getInput = jest
+                .fn(input => {
+                    return {
+                        'task-definition': 'task-definition.json',
+                        'service': 'service-456',
+                        'cluster': 'cluster-789',
+                        'lint-task-definition': 'true',
+                        'lint-rules': rules
+                    }[input];
+                });
+
+            await run();
+
+            expect(core.setFailed).toBeCalledWith(expectedError);
+        }
+        expect(mockEcsRegisterTaskDef).toHaveBeenCalledTimes(0);
+    });
+
+    test('converts a CloudFormation task definition resource to the RegisterTaskDefinition shape', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.yaml',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'tags': 'team=payments'
+                }[input];
+            });
+        fs.readFileSync.mockImplementation(() => [
+            'Type: AWS::ECS::TaskDefinition',
+            'Properties:',
+            '  Family: task-def-family',
+            '  Cpu: "256"',
+            '  Memory: "512"',
+            '  ContainerDefinitions:',
+            '    - Name: web',
+            '      Image: nginx:1.27',
+            '      PortMappings:',
+            '        - ContainerPort: 80',
+            '      DockerLabels:',
+            '        com.example.Team: payments',
+            '      LogConfiguration:',
+            '        LogDriver: awslogs',
+            '        Options:',
+            '          awslogs-group: /ecs/web',
+            '  Volumes:',
+            '    - Name: data',
+            '      EFSVolumeConfiguration:',
+            '        FilesystemId: fs-1234',
+            '        AuthorizationConfig:',
+            '          IAM: ENABLED',
+            '  Tags:',
+            '    - Key: Environment',
+            '      Value: production'
+        ].join('\n'));
+
+        await run();
+
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+        expect(mockEcsRegisterTaskDef).toHaveBeenNthCalledWith(1, {
+            family: 'task-def-family',
+            cpu: '256',
+            memory: '512',
+            containerDefinitions: [{
+                name: 'web',
+                image: 'nginx:1.27',
+                portMappings: [{ containerPort: 80 }],
+                dockerLabels: { 'com.example.Team': 'payments' },
+                logConfiguration: { logDriver: 'awslogs', options: { 'awslogs-group': '/ecs/web' } }
+            }],
+            volumes: [{
+                name: 'data',
+                efsVolumeConfiguration: { fileSystemId: 'fs-1234', authorizationConfig: { iam: 'ENABLED' } }
+            }],
+            tags: [{ key: 'Environment', value: 'production' }, { key: 'team', value: 'payments' }]
+        });
+    });
+
+    test('converts the task definition resource of a CloudFormation template with the given logical ID', async () => {
+        const template = {
+            Resources: {
+                WebTaskDefinition: {
+                    Type: 'AWS::ECS::TaskDefinition',
+                    Properties: { Family: 'web', ContainerDefinitions: [{ Name: 'web', Image: 'web:1.0' }] }
+                },
+                WorkerTaskDefinition: {
+                    Type: 'AWS::ECS::TaskDefinition',
+                    Properties: { Family: 'worker', ContainerDefinitions: [{ Name: 'worker', Image: 'worker:1.0' }] }
+                },
+                WebService: { Type: 'AWS::ECS::Service', Properties: {} }
+            }
+        };
+        fs.readFileSync.mockImplementation(() => JSON.stringify(template));
+
+        await run();
+
+        expect(core.setFailed).toBeCalledWith('The CloudFormation template task-definition.json has 2 AWS::ECS::TaskDefinition resources, set \'task-definition-logical-id\' to one of: WebTaskDefinition, WorkerTaskDefinition');
+        expect(mockEcsRegisterTaskDef).toHaveBeenCalledTimes(0);
+
+        core.setFailed.mockClear();
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'task-definition-logical-id': 'WorkerTaskDefinition',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789'
+                }[input];
+            });
+
+        await run();
+
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+        expect(mockEcsRegisterTaskDef).toHaveBeenNthCalledWith(1, {
+            family: 'worker',
+            containerDefinitions: [{ name: 'worker', image: 'worker:1.0' }]
+        });
+    });
+
+    test('error is caught if a CloudFormation task definition uses intrinsic functions', async () => {
+        fs.readFileSync.mockImplementation(() => [
+            'Resources:',
+            '  TaskDefinition:',
+            '    Type: AWS::ECS::TaskDefinition',
+            '    Properties:',
+            '      Family: !Sub "${AWS::StackName}-web"',
+            '      ExecutionRoleArn:',
+            '        Fn::GetAtt: [ExecutionRole, Arn]',
+            '      ContainerDefinitions:',
+            '        - Name: web',
+            '          Image: !Join [":", [!Ref Repository, latest]]'
+        ].join('\n'));
+
+        await run();
+
+        expect(core.setFailed).toBeCalledWith([
+            'The CloudFormation task definition in task-definition.json uses intrinsic functions that the action cannot resolve:',
+            '$.family: Fn::Sub',
+            '$.executionRoleArn: Fn::GetAtt',
+            '$.containerDefinitions[0].image: Fn::Join'
+        ].join('\n'));
+        expect(mockEcsRegisterTaskDef).toHaveBeenCalledTimes(0);
+    });
+
+    test('runs the task with the settings of the service definition before creating a missing service', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'run-task': 'true',
+                    'service-definition': 'service-definition.yaml',
+                    'platform-version': '1.4.0'
+                }[input];
+            });
+        fs.readFileSync.mockImplementation((pathInput) => {
+            if (pathInput == path.join(process.env.GITHUB_WORKSPACE, 'service-definition.yaml')) {
+                return [
+                    'desiredCount: 2',
+                    'launchType: FARGATE',
+                    'networkConfiguration:',
+                    '  awsvpcConfiguration:',
+                    '    subnets: [subnet-1]'
+                ].join('\n');
+            }
+            return JSON.stringify({ family: 'task-def-family', containerDefinitions: [{ name: 'web', image: 'web:1' }] });
+        });
+        mockEcsDescribeServices.mockImplementation(() => Promise.resolve({
+            failures: [{ arn: 'arn:aws:ecs:fake-region:1234:service/cluster-789/service-456', reason: 'MISSING' }],
+            services: []
+        }));
+        mockEcsRunTask.mockImplementation(() => Promise.resolve({ failures: [], tasks: [{ taskArn: 'task:arn' }] }));
+        mockEcsDescribeTasks.mockImplementation(() => Promise.resolve({
+            tasks: [{ taskArn: 'task:arn', containers: [{ name: 'web', exitCode: 0 }] }]
+        }));
+        mockEcsCreateService.mockImplementation(() => Promise.resolve({
+            service: { deployments: [{ id: 'ecs-svc/1', status: 'PRIMARY' }] }
+        }));
+
+        await run();
+
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+        expect(mockEcsRunTask).toHaveBeenNthCalledWith(1, {
+            cluster: 'cluster-789',
+            taskDefinition: 'task:def:arn',
+            count: 1,
+            startedBy: 'GitHub-Actions',
+            launchType: 'FARGATE',
+            platformVersion: '1.4.0',
+            networkConfiguration: { awsvpcConfiguration: { subnets: ['subnet-1'] } }
+        });
+        expect(mockEcsCreateService).toHaveBeenCalledTimes(1);
+        expect(mockEcsRunTask.mock.invocationCallOrder[0]).toBeLessThan(mockEcsCreateService.mock.invocationCallOrder[0]);
+        expect(mockEcsUpdateService).toHaveBeenCalledTimes(0);
+    });
+
+    test('error is caught if a task is run for a missing service without a service definition', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'run-task': 'true'
+                }[input];
+            });
+        mockEcsDescribeServices.mockImplementation(() => Promise.resolve({
+            failures: [{ arn: 'arn:aws:ecs:fake-region:1234:service/cluster-789/service-456', reason: 'MISSING' }],
+            services: []
+        }));
+
+        await run();
+
+        expect(core.setFailed).toBeCalledWith('arn:aws:ecs:fake-region:1234:service/cluster-789/service-456 is MISSING');
+        expect(mockEcsRunTask).toHaveBeenCalledTimes(0);
+        expect(mockEcsCreateService).toHaveBeenCalledTimes(0);
+    });
+
+    test('skips registration if a Fargate task definition file omits the values ECS fills in', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.yaml',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'skip-if-unchanged': 'true'
+                }[input];
+            });
+
+        fs.readFileSync.mockImplementation(() => [
+            'family: task-def-family',
+            'requiresCompatibilities: [FARGATE]',
+            'networkMode: awsvpc',
+            'cpu: 256',
+            'memory: 1 GB',
+            'executionRoleArn: arn:aws:iam::111122223333:role/ecsTaskExecutionRole',
+            'containerDefinitions:',
+            '  - name: web',
+            '    image: nginx:1.27',
+            '    portMappings:',
+            '      - containerPort: 80'
+        ].join('\n'));
+        mockEcsDescribeServices.mockImplementation(
+            () => Promise.resolve({
+                failures: [],
+                services: [{
+                    status: 'ACTIVE',
+                    taskDefinition: 'task:def:previous'
+                }]
+            })
+        );
+        mockEcsDescribeTaskDef.mockImplementation(() => Promise.resolve({
+            taskDefinition: {
+                taskDefinitionArn: 'arn:aws:ecs:us-east-1:111122223333:task-definition/task-def-family:7',
+                containerDefinitions: [{
+                    name: 'web',
+                    image: 'nginx:1.27',
+                    cpu: 0,
+                    portMappings: [{ containerPort: 80, hostPort: 80, protocol: 'tcp' }],
+                    essential: true,
+                    environment: [],
+                    mountPoints: [],
+                    volumesFrom: [],
+                    systemControls: []
+                }],
+                family: 'task-def-family',
+                executionRoleArn: 'arn:aws:iam::111122223333:role/ecsTaskExecutionRole',
+                networkMode: 'awsvpc',
+                revision: 7,
+                volumes: [],
+                status: 'ACTIVE',
+                requiresAttributes: [
+                    { name: 'com.amazonaws.ecs.capability.docker-remote-api.1.18' },
+                    { name: 'ecs.capability.task-eni' }
+                ],
+                placementConstraints: [],
+                compatibilities: ['EC2', 'FARGATE'],
+                requiresCompatibilities: ['FARGATE'],
+                cpu: '256',
+                memory: '1024',
+                registeredAt: '2026-10-01T12:00:00.000Z',
+                registeredBy: 'arn:aws:sts::111122223333:assumed-role/deploy/GitHubActions'
+            },
+            tags: []
+        }));
+
+        await run();
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+
+        expect(mockEcsRegisterTaskDef).toHaveBeenCalledTimes(0);
+        expect(core.setOutput).toHaveBeenNthCalledWith(2, 'deployment-skipped', 'true');
+    });
+
+    test('registers the task definition if a port mapping uses another host port than ECS assigns by default', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'skip-if-unchanged': 'true'
+                }[input];
+            });
+
+        fs.readFileSync.mockImplementation(() => JSON.stringify({
+            family: 'task-def-family',
+            containerDefinitions: [{ name: 'web', image: 'nginx:1.27', portMappings: [{ containerPort: 80, hostPort: 8080 }] }]
+        }));
+        mockEcsDescribeServices.mockImplementation(
+            () => Promise.resolve({
+                failures: [],
+                services: [{
+                    status: 'ACTIVE',
+                    taskDefinition: 'task:def:previous'
+                }]
+            })
+        );
+        mockEcsDescribeTaskDef.mockImplementation(() => Promise.resolve({
+            taskDefinition: {
+                taskDefinitionArn: 'task:def:previous',
+                family: 'task-def-family',
+                networkMode: 'bridge',
+                containerDefinitions: [{
+                    name: 'web',
+                    image: 'nginx:1.27',
+                    cpu: 0,
+                    essential: true,
+                    portMappings: [{ containerPort: 80, hostPort: 0, protocol: 'tcp' }]
+                }]
+            }
+        }));
+
+        await run();
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+
+        expect(mockEcsRegisterTaskDef).toHaveBeenCalledTimes(1);
+        expect(core.setOutput).not.toBeCalledWith('deployment-skipped', 'true');
+    });
+
+    test('does not report an ECS rollback if another deployment replaced the deployment', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'wait-for-service-stability': 'TRUE',
+                    'wait-strategy': 'deployment-rollout',
+                    'show-service-events': 'false',
+                    'rollback-on-failure': 'true'
+                }[input];
+            });
+
+        mockEcsUpdateService.mockImplementation(() => Promise.resolve({
+            service: { deployments: [{ id: 'ecs-svc/2', status: 'PRIMARY', rolloutState: 'IN_PROGRESS' }] }
+        }));
+        const describeResponses = [
+            { failures: [], services: [{ status: 'ACTIVE', taskDefinition: 'task:def:previous' }] },
+            { failures: [], services: [{
+                status: 'ACTIVE',
+                deployments: [{ id: 'ecs-svc/3', status: 'PRIMARY', rolloutState: 'IN_PROGRESS', taskDefinition: 'task:def:concurrent' }]
+            }] },
+            { failures: [], services: [{ status: 'ACTIVE', deployments: [] }] }
+        ];
+        mockEcsDescribeServices.mockImplementation(() => Promise.resolve(describeResponses.shift() || { failures: [], services: [{ status: 'ACTIVE' }] }));
+
+        await run();
+
+        expect(mockEcsUpdateService).toHaveBeenCalledTimes(1);
+        expect(core.setOutput).not.toBeCalledWith('rolled-back-task-definition-arn', expect.anything());
+        expect(core.setFailed).toBeCalledWith('Deployment ecs-svc/2 of service service-456 is no longer present, another deployment of the service may have replaced it');
+    });
+
+    test('reads the CloudWatch Logs of each failed container in the region of its log configuration', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'wait-for-service-stability': 'TRUE'
+                }[input];
+            });
+        const awslogs = (group, region) => ({
+            logDriver: 'awslogs',
+            options: Object.assign({ 'awslogs-group': group, 'awslogs-stream-prefix': 'ecs' }, region ? { 'awslogs-region': region } : {})
+        });
+        fs.readFileSync.mockImplementation(() => JSON.stringify({
+            family: 'task-def-family',
+            containerDefinitions: [
+                { name: 'web', image: 'web:1', logConfiguration: awslogs('/ecs/web', 'eu-west-1') },
+                { name: 'worker', image: 'worker:1', logConfiguration: awslogs('/ecs/worker', 'eu-west-1') },
+                { name: 'sidecar', image: 'sidecar:1', logConfiguration: awslogs('/ecs/sidecar') }
+            ]
+        }));
+
+        waitUntilServicesStable.mockImplementation(() => Promise.reject(new Error('Waiter timed out')));
+        mockEcsListTasks.mockImplementation(() => Promise.resolve({ taskArns: ['arn:aws:ecs:fake-region:1234:task/cluster-789/abc123'] }));
+        mockEcsDescribeTasks.mockImplementation(() => Promise.resolve({
+            tasks: [{
+                taskArn: 'arn:aws:ecs:fake-region:1234:task/cluster-789/abc123',
+                taskDefinitionArn: 'task:def:arn',
+                containers: [{ name: 'web', exitCode: 1 }, { name: 'worker', exitCode: 1 }, { name: 'sidecar', exitCode: 1 }]
+            }]
+        }));
+
+        await run();
+
+        expect(CloudWatchLogs).toHaveBeenCalledTimes(2);
+        expect(CloudWatchLogs).toHaveBeenNthCalledWith(1, {
+            customUserAgent: 'amazon-ecs-deploy-task-definition-for-github-actions',
+            region: 'eu-west-1'
+        });
+        expect(CloudWatchLogs).toHaveBeenNthCalledWith(2, {
+            customUserAgent: 'amazon-ecs-deploy-task-definition-for-github-actions'
+        });
+        expect(mockLogsGetLogEvents).toHaveBeenCalledTimes(3);
+        expect(core.setFailed).toBeCalledWith('Waiter timed out');
+    });
+
+    test('removes deletion markers that have nothing to delete in the base task definition', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json\noverlay.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789'
+                }[input];
+            });
+        fs.readFileSync.mockImplementation((pathInput) => {
+            if (pathInput == path.join(process.env.GITHUB_WORKSPACE, 'task-definition.json')) {
+                return JSON.stringify({
+                    family: 'task-def-family',
+                    containerDefinitions: [{ name: 'web', image: 'web:1' }]
+                });
+            }
+            return JSON.stringify({
+                containerDefinitions: [
+                    { name: 'web', linuxParameters: { initProcessEnabled: true, capabilities: { $delete: true } } },
+                    {
+                        name: 'worker',
+                        image: 'worker:1',
+                        environment: [{ name: 'QUEUE', value: 'jobs' }, { name: 'DEBUG', $delete: true }],
+                        dockerLabels: { team: 'payments', legacy: { $delete: true } }
+                    },
+                    { name: 'removed-sidecar', $delete: true }
+                ]
+            });
+        });
+
+        await run();
+
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+        expect(mockEcsRegisterTaskDef).toHaveBeenNthCalledWith(1, {
+            family: 'task-def-family',
+            containerDefinitions: [
+                { name: 'web', image: 'web:1', linuxParameters: { initProcessEnabled: true } },
+                {
+                    name: 'worker',
+                    image: 'worker:1',
+                    environment: [{ name: 'QUEUE', value: 'jobs' }],
+                    dockerLabels: { team: 'payments' }
+                }
+            ]
+        });
+    });
+
+    test('restores the service configuration changed by the deployment when rolling back', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'wait-for-service-stability': 'TRUE',
+                    'rollback-on-failure': 'true',
+                    'desired-count': '4',
+                    'minimum-healthy-percent': '50',
+                    'capacity-provider-strategy': '[{"capacityProvider": "FARGATE_SPOT", "weight": 1}]',
+                    'network-configuration': '{"subnets": ["subnet-2"]}',
+                    'platform-version': '1.4.0'
+                }[input];
+            });
+
+        const previousNetworkConfiguration = { awsvpcConfiguration: { subnets: ['subnet-1'], assignPublicIp: 'DISABLED' } };
+        mockEcsDescribeServices.mockImplementation(
+            () => Promise.resolve({
+                failures: [],
+                services: [{
+                    status: 'ACTIVE',
+                    taskDefinition: 'task:def:previous',
+                    desiredCount: 2,
+                    deploymentConfiguration: { minimumHealthyPercent: 100, maximumPercent: 200 },
+                    launchType: 'FARGATE',
+                    networkConfiguration: previousNetworkConfiguration,
+                    platformVersion: 'LATEST'
+                }]
+            })
+        );
+        waitUntilServicesStable.mockImplementation(() => Promise.reject(new Error('Waiter timed out')));
+
+        await run();
+
+        expect(mockEcsUpdateService).toHaveBeenNthCalledWith(1, expect.objectContaining({
+            taskDefinition: 'task:def:arn',
+            desiredCount: 4,
+            deploymentConfiguration: { minimumHealthyPercent: 50 },
+            platformVersion: '1.4.0'
+        }));
+        expect(mockEcsUpdateService).toHaveBeenNthCalledWith(2, {
+            cluster: 'cluster-789',
+            service: 'service-456',
+            taskDefinition: 'task:def:previous',
+            desiredCount: 2,
+            deploymentConfiguration: { minimumHealthyPercent: 100, maximumPercent: 200 },
+            capacityProviderStrategy: [],
+            networkConfiguration: previousNetworkConfiguration,
+            platformVersion: 'LATEST'
+        });
+        expect(core.setFailed).toBeCalledWith('Service service-456 did not become stable and was rolled back to task definition task:def:previous: Waiter timed out');
+    });
+
+    test('waits for the service to become stable if ECS does not report the rollout state of the deployment', async () => {
+        core.getInput = jest
+            .fn(input => {
+                return {
+                    'task-definition': 'task-definition.json',
+                    'service': 'service-456',
+                    'cluster': 'cluster-789',
+                    'wait-for-service-stability': 'TRUE',
+                    'wait-strategy': 'deployment-rollout',
+                    'show-service-events': 'false',
+                    'rollback-on-failure': 'true'
+                }[input];
+            });
+
+        mockEcsUpdateService.mockImplementation(() => Promise.resolve({
+            service: { deployments: [{ id: 'ecs-svc/2', status: 'PRIMARY' }] }
+        }));
+        const describeResponses = [
+            { failures: [], services: [{ status: 'ACTIVE', taskDefinition: 'task:def:previous' }] },
+            { failures: [], services: [{ status: 'ACTIVE', deployments: [{ id: 'ecs-svc/2', status: 'PRIMARY' }] }] }
+        ];
+        mockEcsDescribeServices.mockImplementation(() => Promise.resolve(describeResponses.shift()));
+
+        await run();
+
+        expect(core.setFailed).toHaveBeenCalledTimes(0);
+        expect(mockEcsDescribeServices).toHaveBeenCalledTimes(2);
+        expect(waitUntilServicesStable).toHaveBeenNthCalledWith(
+            1,
+            {
+                client: mockEcsClient,
+                minDelay: 15,
+                maxWaitTime: EXPECTED_DEFAULT_WAIT_TIME * 60,
+            },
+            {
+                services: ['service-456'],
+                cluster: 'cluster-789',
+            }
+        );
+        expect(mockEcsUpdateService).toHaveBeenCalledTimes(1);
+    });
+
+    test('updates the services with the unchanged task definition if the deployment changes the services', async () => {
+        const serviceInputs = [
+            { 'force-new-deployment': 'true' },
+            { 'desired-count': '3' },
+            { 'minimum-healthy-percent': '50' },
+            { 'platform-version': '1.4.0' }
+        ];
+
+        for (const serviceInput of serviceInputs) {
+            jest.clearAllMocks();
+            core.getInput = jest
+                .fn(input => {
+                    return Object.assign({
+                        'task-definition': 'task-definition.json',
+                        'service': 'service-456',
+                        'cluster': 'cluster-789',
+                        'skip-if-unchanged': 'true'
+                    }, serviceInput)[input];
+                });
+            fs.readFileSync.mockImplementation(() => JSON.stringify({
+                family: 'task-def-family',
+                containerDefinitions: [{ name: 'web', image: 'nginx:1.0' }]
+            }));
+            mockEcsDescribeServices.mockImplementation(
+                () => Promise.resolve({
+                    failures: [],
+                    services: [{
+                        status: 'ACTIVE',
+                        taskDefinition: 'task:def:previous'
+                    }]
+                })
+            );
+            mockEcsDescribeTaskDef.mockImplementation(() => Promise.resolve({
+                taskDefinition: {
+                    taskDefinitionArn: 'task:def:previous',
+                    family: 'task-def-family',
+                    containerDefinitions: [{ name: 'web', image: 'nginx:1.0', cpu: 0, essential: true }]
+                }
+            }));
+
+            await run();
+
+            expect(core.setFailed).toHaveBeenCalledTimes(0);
+            expect(mockEcsRegisterTaskDef).toHaveBeenCalledTimes(0);
+            expect(mockEcsUpdateService).toHaveBeenNthCalledWith(1, expect.objectContaining({ taskDefinition: 'task:def:previous' }));
+            expect(core.setOutput).toBeCalledWith('task-definition-arn', 'task:def:previous');
+            expect(core.setOutput).not.toBeCalledWith('deployment-skipped', 'true');
+        }
+    });
 });